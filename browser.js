@@ -0,0 +1,167 @@
+// Browser entry point, doesn't use Node.js built-ins.
+// Buffer global is still needed (same as for fast-ipfs), most bundlers can polyfill it.
+import { isExpectedNearError, ignoreExpectedNearError, fsStoreGas } from './upload.js';
+
+export {
+    uploadFiles,
+    buildCAR,
+    uploadCAR,
+    isAlreadyUploaded,
+    blocksToUpload,
+    splitOnBatches,
+    fsStoreGas,
+    NETWORK_LIMITS,
+    uploadBlocks,
+    isExpectedNearError,
+    isRetryableNearError,
+    gatewayExistenceCheck,
+    cachedExistenceCheck,
+    indexerExistenceCheck,
+    generateFileBlocks,
+    generateBlocks,
+} from './upload.js';
+export { fetchDAG, fetchBlock } from './fetch.js';
+
+// Streams blob contents without reading whole file into memory
+async function* readBlob(blob) {
+    const reader = blob.stream().getReader();
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) {
+                return;
+            }
+            yield value;
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+const entryPath = (entry) => entry.fullPath.replace(/^\/+/, '');
+
+async function* readEntry(entry) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        yield { name: entryPath(entry), content: readBlob(file) };
+        return;
+    }
+
+    // readEntries returns entries in chunks, until empty list is returned
+    const reader = entry.createReader();
+    let isEmpty = true;
+    for (;;) {
+        const entries = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (entries.length === 0) {
+            break;
+        }
+        isEmpty = false;
+        for (const child of entries) {
+            yield* readEntry(child);
+        }
+    }
+    if (isEmpty && entryPath(entry) !== '') {
+        yield { name: entryPath(entry), type: 'directory' };
+    }
+}
+
+// Makes file objects for uploadFiles and buildCAR from File, FileList or array of files
+// (paths are taken from webkitRelativePath for <input type="file" webkitdirectory>),
+// or from DataTransfer / DataTransferItemList of drop event, where dropped directories are read recursively.
+// Has to be called synchronously in drop event handler, DataTransfer items are gone after it.
+function readBrowserFiles(input) {
+    if (input.items) {
+        input = input.items;
+    }
+    const items = input.length === undefined ? [input] : Array.from(input);
+    const sources = items
+        .map(item => typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() || item.getAsFile() : item)
+        .filter(Boolean);
+
+    return (async function* () {
+        for (const source of sources) {
+            if (source.isFile || source.isDirectory) {
+                yield* readEntry(source);
+            } else {
+                yield { name: source.webkitRelativePath || source.name, content: readBlob(source) };
+            }
+        }
+    })();
+}
+
+// Login page of web4 gateway, see https://github.com/vgrichina/web4
+function web4LoginUrl({ contractId, callbackUrl, web4Url = '' } = {}) {
+    const params = new URLSearchParams();
+    if (contractId) {
+        params.set('web4_contract_id', contractId);
+    }
+    if (callbackUrl) {
+        params.set('web4_callback_url', callbackUrl);
+    }
+    const query = params.toString();
+    return `${web4Url}/web4/login${query ? `?${query}` : ''}`;
+}
+
+// Makes signAndSendTransaction which calls fs_store through web4 gateway, signing with web4 session key.
+// Session key is limited to contract user logged in with (see web4LoginUrl), so that contract is the receiver.
+// NEARFS stores blocks from fs_store calls to any account, receiver doesn't need to implement fs_store.
+// Gas for every block is calculated from limits (same as passed to uploadFiles), unless fixed gas is given.
+function web4Signer({ contractId, web4Url = '', gas = null, limits, fetch = globalThis.fetch } = {}) {
+    if (!contractId) {
+        throw new Error('contractId is required for web4Signer');
+    }
+
+    // web4 sends one function call per request
+    return async (blockDataArray) => {
+        let result;
+        for (const data of blockDataArray) {
+            const response = await fetch(`${web4Url}/web4/contract/${contractId}/fs_store?web4_gas=${gas || fsStoreGas(data, limits)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                credentials: 'include',
+                body: data,
+            });
+
+            if (response.status === 401 || response.status === 403) {
+                throw new Error(`Not logged in with web4, login at ${web4LoginUrl({ contractId, web4Url })} first`);
+            }
+            if (!response.ok) {
+                const error = new Error(`web4 request failed with status ${response.status}: ${await response.text()}`, { cause: response.status });
+                if (isExpectedNearError(error)) {
+                    continue;
+                }
+                throw error;
+            }
+
+            const contentType = response.headers.get('content-type') || '';
+            result = contentType.includes('application/json') ? await response.json() : null;
+        }
+        return result;
+    };
+}
+
+// Makes signAndSendTransaction for NEAR wallet selector, e.g. walletSelectorSigner(await selector.wallet(), { receiverId }).
+// Without full access key wallet asks user to approve every transaction, so receiverId should be
+// the contract wallet is signed in with. Gas is calculated from limits same as in web4Signer.
+function walletSelectorSigner(wallet, { receiverId, gas = null, limits } = {}) {
+    if (!receiverId) {
+        throw new Error('receiverId is required for walletSelectorSigner');
+    }
+
+    return async (blockDataArray) => {
+        return await ignoreExpectedNearError(() => wallet.signAndSendTransaction({
+            receiverId,
+            actions: blockDataArray.map(data => ({
+                type: 'FunctionCall',
+                params: { methodName: 'fs_store', args: data, gas: (gas || fsStoreGas(data, limits)).toString(), deposit: '0' }
+            })),
+        }));
+    };
+}
+
+export {
+    readBrowserFiles,
+    web4LoginUrl,
+    web4Signer,
+    walletSelectorSigner,
+};
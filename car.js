@@ -0,0 +1,207 @@
+import { readCAR, readBlock, readCID, packCID, cidToString } from 'fast-ipfs';
+import sha256 from 'js-sha256';
+
+// See https://ipld.io/specs/transport/car/ for format details
+
+// Fixed CARv2 pragma, i.e. CARv1-style header { version: 2 } prefixed with its length
+const CARV2_PRAGMA = Buffer.from('0aa16776657273696f6e02', 'hex');
+const CARV2_HEADER_LENGTH = 40;
+
+const CBOR_TAG_CID = 42;
+
+// fast-ipfs varint encoder is limited to 32 bits and isn't exported
+function writeVarint(value) {
+    const bytes = [];
+    while (value >= 0x80) {
+        bytes.push((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+    return Buffer.from(bytes);
+}
+
+// Minimal DAG-CBOR decoder, enough to read CAR headers
+function readCBOR(data, offset = 0) {
+    const initialByte = data[offset++];
+    const majorType = initialByte >> 5;
+    const additionalInfo = initialByte & 0x1f;
+
+    let argument;
+    if (additionalInfo < 24) {
+        argument = additionalInfo;
+    } else if (additionalInfo === 24) {
+        argument = data.readUInt8(offset);
+        offset += 1;
+    } else if (additionalInfo === 25) {
+        argument = data.readUInt16BE(offset);
+        offset += 2;
+    } else if (additionalInfo === 26) {
+        argument = data.readUInt32BE(offset);
+        offset += 4;
+    } else if (additionalInfo === 27) {
+        argument = Number(data.readBigUInt64BE(offset));
+        offset += 8;
+    } else {
+        throw new Error(`Unsupported CBOR additional info: ${additionalInfo}`);
+    }
+
+    switch (majorType) {
+        case 0:
+            return [argument, offset];
+        case 1:
+            return [-1 - argument, offset];
+        case 2:
+            return [data.subarray(offset, offset + argument), offset + argument];
+        case 3:
+            return [data.subarray(offset, offset + argument).toString('utf8'), offset + argument];
+        case 4: {
+            const result = [];
+            for (let i = 0; i < argument; i++) {
+                let item;
+                [item, offset] = readCBOR(data, offset);
+                result.push(item);
+            }
+            return [result, offset];
+        }
+        case 5: {
+            const result = {};
+            for (let i = 0; i < argument; i++) {
+                let key, value;
+                [key, offset] = readCBOR(data, offset);
+                [value, offset] = readCBOR(data, offset);
+                result[key] = value;
+            }
+            return [result, offset];
+        }
+        case 6: {
+            let value;
+            [value, offset] = readCBOR(data, offset);
+            if (argument === CBOR_TAG_CID) {
+                // CID bytes are prefixed with 0x00 multibase identity prefix
+                return [value.subarray(1), offset];
+            }
+            return [value, offset];
+        }
+        case 7:
+            switch (additionalInfo) {
+                case 20: return [false, offset];
+                case 21: return [true, offset];
+                case 22: return [null, offset];
+                default:
+                    throw new Error(`Unsupported CBOR simple value: ${additionalInfo}`);
+            }
+    }
+}
+
+// Returns CARv1 payload, unwrapping it from CARv2 if needed
+function readCARv1(carBuffer) {
+    carBuffer = Buffer.from(carBuffer.buffer, carBuffer.byteOffset, carBuffer.byteLength);
+    if (!carBuffer.subarray(0, CARV2_PRAGMA.length).equals(CARV2_PRAGMA)) {
+        return carBuffer;
+    }
+
+    const header = carBuffer.subarray(CARV2_PRAGMA.length, CARV2_PRAGMA.length + CARV2_HEADER_LENGTH);
+    if (header.length < CARV2_HEADER_LENGTH) {
+        throw new Error('CARv2 header is truncated');
+    }
+    // First 16 bytes are characteristics bitfield, not needed to read data
+    const dataOffset = Number(header.readBigUInt64LE(16));
+    const dataSize = Number(header.readBigUInt64LE(24));
+    if (dataOffset + dataSize > carBuffer.length) {
+        throw new Error('CARv2 data payload is truncated');
+    }
+    return carBuffer.subarray(dataOffset, dataOffset + dataSize);
+}
+
+function readCARHeader(carBuffer) {
+    const [headerSection] = readCAR(readCARv1(carBuffer));
+    if (!headerSection) {
+        throw new Error('CAR file is empty');
+    }
+
+    const [header] = readCBOR(headerSection.data);
+    if (header.version !== 1) {
+        throw new Error(`Unsupported CAR version: ${header.version}`);
+    }
+    if (!Array.isArray(header.roots) || header.roots.length === 0) {
+        throw new Error('CAR file has no roots');
+    }
+
+    return header;
+}
+
+function writeCBORHead(majorType, value) {
+    if (value < 24) {
+        return Buffer.from([majorType << 5 | value]);
+    }
+    if (value < 0x100) {
+        return Buffer.from([majorType << 5 | 24, value]);
+    }
+    if (value < 0x10000) {
+        const head = Buffer.from([majorType << 5 | 25, 0, 0]);
+        head.writeUInt16BE(value, 1);
+        return head;
+    }
+    const head = Buffer.from([majorType << 5 | 26, 0, 0, 0, 0]);
+    head.writeUInt32BE(value, 1);
+    return head;
+}
+
+function writeCBORString(value) {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([writeCBORHead(3, bytes.length), bytes]);
+}
+
+const writeCARSection = (data) => Buffer.concat([writeVarint(data.length), data]);
+
+function writeCARHeader(roots) {
+    // DAG-CBOR requires map keys sorted by length first, so "roots" goes before "version"
+    return writeCARSection(Buffer.concat([
+        writeCBORHead(5, 2),
+        writeCBORString('roots'),
+        writeCBORHead(4, roots.length),
+        ...roots.flatMap(cid => [
+            writeCBORHead(6, CBOR_TAG_CID),
+            writeCBORHead(2, cid.length + 1),
+            Buffer.from([0]),
+            cid,
+        ]),
+        writeCBORString('version'),
+        writeCBORHead(0, 1),
+    ]));
+}
+
+const writeCARBlock = ({ cid, data }) => writeCARSection(Buffer.concat([cid, data]));
+
+// CIDv0 doesn't have base32 representation, so convert it to equivalent CIDv1
+function cidToV1String(cid) {
+    const { version, codec, hash } = readCID(cid);
+    return cidToString(version === 0 ? packCID({ version: 1, codec, hash }) : cid);
+}
+
+// Reads CAR file and makes sure that every block matches its CID
+export function readCARFile(carBuffer) {
+    const { roots } = readCARHeader(carBuffer);
+
+    const blocks = readCAR(readCARv1(carBuffer)).slice(1).map(({ data }) => {
+        const block = readBlock(data);
+        const { hash } = readCID(block.cid);
+        const computedHash = Buffer.from(sha256.arrayBuffer(block.data));
+        if (!computedHash.equals(hash)) {
+            throw new Error(`CAR block ${cidToV1String(block.cid)} doesn't match its hash, CAR file is corrupt`);
+        }
+        return block;
+    });
+
+    return { roots: roots.map(cidToV1String), blocks };
+}
+
+export {
+    readCBOR,
+    readCARv1,
+    readCARHeader,
+    cidToV1String,
+    writeVarint,
+    writeCARHeader,
+    writeCARBlock,
+};
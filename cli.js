@@ -1,32 +1,52 @@
 #!/usr/bin/env node
 
 import mri from 'mri';
-import { connect, keyStores, transactions, KeyPair } from 'near-api-js';
-import { executeUpload } from './index.js';
+import { connect, keyStores, transactions, providers, KeyPair } from 'near-api-js';
+import readline from 'readline';
+import { Writable } from 'stream';
+import { executeUpload, deployWeb4, rollbackWeb4, listDeployments, fileDeploymentLog, DEFAULT_DEPLOYMENTS_PATH, exportCAR, clearCache, getCID, networkGatewayUrl, errorExitCode, EXIT_CODES } from './index.js';
+import { createKeystore, readKeystore, unsignedTransactionsSigner, broadcastTransactions } from './signers.js';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
 
 const defaultMriConfig = {
-    boolean: ['help'],
-    string: ['network', 'accountId', 'privateKey', 'gatewayUrl', 'nodeUrl'],
+    boolean: ['help', 'dryRun', 'resume', 'cache', 'gitignore', 'hidden', 'metadata', 'verify', 'json', 'quiet', 'verbose'],
+    string: ['network', 'accountId', 'privateKey', 'gatewayUrl', 'nodeUrl', 'exportCar', 'keysDir', 'generateKeys', 'include', 'exclude', 'symlinks', 'web4Contract', 'web4Method', 'base', 'keystore', 'exportUnsigned'],
     alias: {
         h: 'help',
+        q: 'quiet',
+        v: 'verbose',
         n: 'network',
         a: 'accountId',
         k: 'privateKey',
         'account-id': 'accountId',
         'private-key': 'privateKey', 
         'gateway-url': 'gatewayUrl',
-        'node-url': 'nodeUrl'
+        'node-url': 'nodeUrl',
+        'export-car': 'exportCar',
+        'dry-run': 'dryRun',
+        'keys-dir': 'keysDir',
+        'generate-keys': 'generateKeys',
+        'web4-contract': 'web4Contract',
+        'web4-method': 'web4Method',
+        'export-unsigned': 'exportUnsigned'
     },
     default: {
-        network: 'testnet'
+        network: 'testnet',
+        cache: true
     }
 };
 
 const usage = `
   Usage: nearfs-upload [options] <path>
+         nearfs-upload deploy [options] <path>
+         nearfs-upload history
+         nearfs-upload rollback [options] <n>
+         nearfs-upload get <cid> [out]
+         nearfs-upload keystore create <file>
+         nearfs-upload broadcast [options] <file>
+         nearfs-upload cache clear
 
   Upload files, directories, or CAR files to NEARFS. CAR files are detected by .car extension.
 
@@ -35,20 +55,79 @@ const usage = `
     -n, --network            NEAR network (default: testnet)
     -a, --account-id         NEAR account ID (can also use NEAR_ACCOUNT_ID env var)
     -k, --private-key        NEAR account private key (can also use NEAR_PRIVATE_KEY env var)
+    --keystore <file>        Sign with private key from passphrase protected keystore (see keystore create),
+                             passphrase is asked for or taken from NEARFS_KEYSTORE_PASSPHRASE env var
+    --export-unsigned <file> Write transactions to file instead of sending them (only account ID needed),
+                             to be signed elsewhere and sent with broadcast
     --gateway-url            Custom IPFS gateway URL for non-mainnet/testnet networks
     --node-url              Custom NEAR RPC node URL (default: https://rpc.{network}.near.org)
+    --export-car <file>      Write CARv1 file locally instead of uploading (no credentials needed)
+    --dry-run                Report new blocks, transactions and estimated cost without uploading
+    --resume                 Continue interrupted upload using .nearfs/checkpoint.jsonl
+    --base <cid>             Previous version of the directory, only blocks which aren't in it are checked
+                             and uploaded, added, changed and removed files are printed
+    --verify                 After upload, fetch every block back through gateway, upload missing ones again
+                             and fail if some are still missing
+    --keys-dir <dir>         Also send transactions in parallel with every access key in the directory
+                             (near-cli credential files, default: ~/.near-credentials/{network}/nearfs-upload/{accountId}).
+                             Keys in it send one block per transaction, as function call keys only allow a single call
+    --generate-keys <n>      Make sure there are at least n fs_store access keys in keys directory, adding missing ones
+    --no-cache               Don't use local cache of uploaded CIDs (~/.cache/nearfs-upload), check every block on gateway
+    --include <glob>         Only upload files matching the pattern (can be repeated)
+    --exclude <glob>         Don't upload files matching the pattern (can be repeated)
+    --gitignore              Also skip files listed in .gitignore files (.nearfsignore files are always used)
+    --hidden                 Upload hidden files and directories (starting with .), skipped by default
+    --symlinks <policy>      What to do with symlinks: follow (default), skip or store as UnixFS symlinks
+    --metadata               Store file and directory modes and modification times (UnixFS 1.5)
+    --json                   Print result as a single JSON object to stdout, progress goes to stderr
+    -q, --quiet              Only print errors (and result with --json)
+    -v, --verbose            Also print every block CID and directory tree
 
-  The CLI will look for credentials in the following order:
+  Commands:
+    deploy <path>            Upload and verify, then point web4 contract at the new CID
+      --web4-contract <id>   Contract to update (default: account ID)
+      --web4-method <name>   Method called with { url: "ipfs://<cid>" } (default: web4_setStaticUrl)
+    history                  List uploads and deploys recorded in .nearfs/deployments.json
+    rollback <n>             Point web4 contract back at CID of n-th entry in history
+                             (--web4-contract and --web4-method default to ones used by that deploy)
+    get <cid> [out]          Download and verify CID from gateway, saving files to out (default: <cid>)
+                             or CAR file when out ends with .car
+    keystore create <file>   Encrypt private key (from options, env vars or near-cli) into keystore file
+    broadcast <file>         Send transactions written with --export-unsigned. Ones with signed_transaction
+                             are sent as is, the rest are signed with given credentials
+    cache clear              Remove local cache of uploaded CIDs
+
+  The CLI will look for credentials in the following order (unless --keystore or --export-unsigned is used):
   1. Command line arguments
   2. Environment variables (NEAR_ACCOUNT_ID, NEAR_PRIVATE_KEY)
   3. near-cli credentials (~/.near-credentials/{network}/{accountId}.json)
 
+  Exit codes:
+    ${EXIT_CODES.error}                        Other errors
+    ${EXIT_CODES.credentials}                        Missing or invalid credentials
+    ${EXIT_CODES.network}                        Network or RPC errors
+    ${EXIT_CODES.partialUpload}                        Some blocks were uploaded, continue with --resume (or --verify found missing blocks)
+
   Examples:
     nearfs-upload ./my-files --account-id example.testnet --private-key "ed25519:..."
     nearfs-upload ./my-file.car --account-id example.testnet
     NEAR_ACCOUNT_ID=example.testnet NEAR_PRIVATE_KEY=ed25519:... nearfs-upload ./my-files
     nearfs-upload ./my-files --network custom --gateway-url https://ipfs.custom.example.com
     nearfs-upload ./my-files --node-url https://my-custom-near-node.com
+    nearfs-upload ./my-files --export-car my-files.car
+    nearfs-upload ./my-files --network mainnet --dry-run
+    nearfs-upload ./my-files --account-id example.testnet --generate-keys 4
+    nearfs-upload ./dist --gitignore --exclude '*.map' --account-id example.testnet
+    nearfs-upload ./my-files --symlinks store --metadata --export-car my-files.car
+    nearfs-upload deploy ./dist --account-id example.testnet --web4-contract app.testnet
+    nearfs-upload ./dist --account-id example.testnet --base bafybei...
+    nearfs-upload rollback 3 --account-id example.testnet
+    nearfs-upload get bafybei... ./my-files-copy --network mainnet
+    nearfs-upload keystore create ~/.nearfs/example.testnet.json --account-id example.testnet
+    nearfs-upload ./dist --keystore ~/.nearfs/example.testnet.json
+    nearfs-upload ./dist --account-id multisig.testnet --export-unsigned upload.jsonl
+    nearfs-upload broadcast upload.jsonl --account-id multisig.testnet
+    nearfs-upload ./dist --account-id example.testnet --json --quiet > upload.json
 `;
 
 async function loadNearCliCredentials(networkId, accountId) {
@@ -66,14 +145,88 @@ async function loadNearCliCredentials(networkId, accountId) {
     }
 }
 
-async function setupNearConnection(networkId, accountId, privateKey, nodeUrl) {
+function parseKeyPair(accountId, privateKey) {
+    try {
+        return KeyPair.fromString(privateKey);
+    } catch (error) {
+        const keyError = new Error(`Invalid private key for ${accountId}: ${error.message}`, { cause: error });
+        keyError.code = 'INVALID_PRIVATE_KEY';
+        throw keyError;
+    }
+}
+
+async function connectAccount(networkId, accountId, privateKey, nodeUrl) {
+    const keyStore = new keyStores.InMemoryKeyStore();
+    await keyStore.setKey(networkId, accountId, parseKeyPair(accountId, privateKey));
+
+    const config = {
+        networkId,
+        keyStore,
+        nodeUrl: nodeUrl || `https://rpc.${networkId}.near.org`,
+        logger: false
+    };
+
+    const near = await connect(config);
+    return near.account(accountId);
+}
+
+function defaultKeysDir(networkId, accountId) {
+    return path.join(os.homedir(), '.near-credentials', networkId, 'nearfs-upload', accountId);
+}
+
+async function loadKeysDir(keysDir, accountId) {
+    let fileNames;
+    try {
+        fileNames = await fs.readdir(keysDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    const privateKeys = [];
+    for (const fileName of fileNames.filter(fileName => fileName.endsWith('.json')).sort()) {
+        const credentials = JSON.parse(await fs.readFile(path.join(keysDir, fileName), 'utf8'));
+        if (credentials.account_id === accountId) {
+            privateKeys.push(credentials.private_key);
+        }
+    }
+    return privateKeys;
+}
+
+// Adds function call access keys which can only call fs_store on the account itself
+async function addUploadKeys(account, keysDir, count, log) {
+    await fs.mkdir(keysDir, { recursive: true, mode: 0o700 });
+
+    const privateKeys = [];
+    for (let i = 0; i < count; i++) {
+        const keyPair = KeyPair.fromRandom('ed25519');
+        const publicKey = keyPair.getPublicKey().toString();
+        log('Adding access key', publicKey);
+        await account.addKey(publicKey, account.accountId, ['fs_store']);
+
+        const credentials = { account_id: account.accountId, public_key: publicKey, private_key: keyPair.toString() };
+        await fs.writeFile(path.join(keysDir, `${publicKey.replace(':', '_')}.json`), JSON.stringify(credentials), { mode: 0o600 });
+        privateKeys.push(credentials.private_key);
+    }
+    return privateKeys;
+}
+
+function missingCredentialsError(message) {
+    const error = new Error(message);
+    error.code = 'MISSING_CREDENTIALS';
+    return error;
+}
+
+async function resolveCredentials(networkId, accountId, privateKey, log) {
     // Try to get credentials in order of precedence
     let finalAccountId = accountId || process.env.NEAR_ACCOUNT_ID;
     let finalPrivateKey = privateKey || process.env.NEAR_PRIVATE_KEY;
 
     // Try near-cli credentials if we have an account ID
     if (finalAccountId) {
-        console.log('Loading near-cli credentials', networkId, finalAccountId);
+        log('Loading near-cli credentials', networkId, finalAccountId);
         const credentials = await loadNearCliCredentials(networkId, finalAccountId);
         if (credentials) {
             finalPrivateKey = finalPrivateKey || credentials.private_key;
@@ -82,31 +235,101 @@ async function setupNearConnection(networkId, accountId, privateKey, nodeUrl) {
 
     // Validate we have all required credentials
     if (!finalAccountId || !finalPrivateKey) {
-        throw new Error(
+        throw missingCredentialsError(
             'Missing credentials. Please provide them via command line arguments, ' +
             'environment variables, or ensure near-cli credentials exist.'
         );
     }
 
-    const keyStore = new keyStores.InMemoryKeyStore();
-    const keyPair = KeyPair.fromString(finalPrivateKey);
-    await keyStore.setKey(networkId, finalAccountId, keyPair);
+    return { accountId: finalAccountId, privateKey: finalPrivateKey };
+}
 
-    const config = {
-        networkId,
-        keyStore,
-        nodeUrl: nodeUrl || `https://rpc.${networkId}.near.org`,
-        logger: false
+// Passphrase isn't echoed, NEARFS_KEYSTORE_PASSPHRASE env var is used instead when set (e.g. in CI)
+async function readPassphrase(prompt, { confirm = false } = {}) {
+    if (process.env.NEARFS_KEYSTORE_PASSPHRASE) {
+        return process.env.NEARFS_KEYSTORE_PASSPHRASE;
+    }
+    if (!process.stdin.isTTY) {
+        throw missingCredentialsError('Missing keystore passphrase, set NEARFS_KEYSTORE_PASSPHRASE when not running in terminal');
+    }
+
+    const ask = async (question) => {
+        let muted = false;
+        const output = new Writable({
+            write(chunk, encoding, callback) {
+                if (!muted) {
+                    process.stderr.write(chunk, encoding);
+                }
+                callback();
+            }
+        });
+        const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+        const answer = new Promise(resolve => rl.question(question, resolve));
+        muted = true;
+        try {
+            return await answer;
+        } finally {
+            rl.close();
+            process.stderr.write('\n');
+        }
     };
 
-    const near = await connect(config);
+    const passphrase = await ask(prompt);
+    if (confirm && await ask('Repeat passphrase: ') !== passphrase) {
+        throw new Error('Passphrases don\'t match');
+    }
+    return passphrase;
+}
+
+// Signer is picked in this order: unsigned transactions export, encrypted keystore, private key
+async function setupNearConnection(networkId, accountId, privateKey, nodeUrl, { keysDir, generateKeys: keysCount = 0, keystore, exportUnsigned, resume = false, log = console.log } = {}) {
+    if (exportUnsigned) {
+        const finalAccountId = accountId || process.env.NEAR_ACCOUNT_ID;
+        if (!finalAccountId) {
+            throw missingCredentialsError('Missing account ID to export unsigned transactions for');
+        }
+        log(`Writing unsigned transactions to ${exportUnsigned}`);
+        return {
+            account: unsignedTransactionsSigner(exportUnsigned, { accountId: finalAccountId, append: resume }),
+            accountId: finalAccountId
+        };
+    }
+
+    let account;
+    if (keystore) {
+        const credentials = await readKeystore(keystore, await readPassphrase(`Passphrase for ${keystore}: `));
+        if (accountId && accountId !== credentials.accountId) {
+            throw new Error(`Keystore ${keystore} is for ${credentials.accountId}, not ${accountId}`);
+        }
+        account = await connectAccount(networkId, credentials.accountId, credentials.privateKey, nodeUrl);
+    } else {
+        const credentials = await resolveCredentials(networkId, accountId, privateKey, log);
+        account = await connectAccount(networkId, credentials.accountId, credentials.privateKey, nodeUrl);
+    }
+    const finalAccountId = account.accountId;
+    const accounts = [account];
+
+    if (keysDir || keysCount > 0) {
+        keysDir = keysDir || defaultKeysDir(networkId, finalAccountId);
+        const privateKeys = await loadKeysDir(keysDir, finalAccountId);
+        if (privateKeys.length < keysCount) {
+            privateKeys.push(...await addUploadKeys(account, keysDir, keysCount - privateKeys.length, log));
+        }
+        log(`Using ${privateKeys.length} additional access keys from ${keysDir}`);
+
+        // Keys in the directory are treated as function call keys added by addUploadKeys, see executeUpload
+        for (const key of privateKeys) {
+            accounts.push(Object.assign(await connectAccount(networkId, finalAccountId, key, nodeUrl), { functionCallKey: true }));
+        }
+    }
+
     return {
-        account: await near.account(finalAccountId),
+        account,
+        accounts,
         accountId: finalAccountId
     };
 }
 
-
 async function main(rawArgv = process.argv.slice(2)) {
     const argv = mri(rawArgv, defaultMriConfig);
     
@@ -123,27 +346,146 @@ async function main(rawArgv = process.argv.slice(2)) {
         process.exit(1);
     }
 
+    const filterOptions = {
+        include: [].concat(argv.include || []),
+        exclude: [].concat(argv.exclude || []),
+        gitignore: argv.gitignore,
+        hidden: argv.hidden,
+        symlinks: argv.symlinks,
+        metadata: argv.metadata
+    };
+
+    // With --json stdout only has the result, so that it can be piped
+    const print = argv.json ? console.error : console.log;
+    const log = argv.quiet ? () => {} : print;
+    const debug = argv.verbose && !argv.quiet ? print : () => {};
+
     try {
-        const nearConnection = await setupNearConnection(
-            argv.network,
-            argv.accountId,
-            argv.privateKey,
-            argv.nodeUrl
-        );
-        
-        const { rootCid, gatewayUrl } = await executeUpload(
-            filePath,
-            nearConnection,
-            { 
-                network: argv.network, 
-                gatewayUrl: argv.gatewayUrl,
-                transactions 
-            }
-        );
+        const result = await runCommand(argv, filePath, filterOptions, { log, debug });
+        if (argv.json) {
+            console.log(JSON.stringify(result, null, 2));
+        }
     } catch (error) {
+        const exitCode = errorExitCode(error);
         console.error('Error:', error.message);
-        process.exit(1);
+        if (argv.json) {
+            console.log(JSON.stringify({ error: error.message, code: error.code, exitCode }, null, 2));
+        }
+        process.exit(exitCode);
+    }
+}
+
+async function runCommand(argv, filePath, filterOptions, { log, debug }) {
+    if (argv._[0] === 'cache' && argv._[1] === 'clear') {
+        return await clearCache(undefined, { log });
     }
+
+    if (argv._[0] === 'get') {
+        if (!argv._[1]) {
+            throw new Error('Missing CID to get');
+        }
+        return await getCID(argv._[1], argv._[2], { network: argv.network, gatewayUrl: argv.gatewayUrl, log });
+    }
+
+    if (argv._[0] === 'keystore' && argv._[1] === 'create') {
+        const keystorePath = argv._[2];
+        if (!keystorePath) {
+            throw new Error('Missing keystore file to create');
+        }
+        const credentials = await resolveCredentials(argv.network, argv.accountId, argv.privateKey, log);
+        const publicKey = parseKeyPair(credentials.accountId, credentials.privateKey).getPublicKey().toString();
+        const passphrase = await readPassphrase(`Passphrase for ${keystorePath}: `, { confirm: true });
+        await createKeystore(keystorePath, { ...credentials, publicKey, passphrase });
+        log(`Keystore for ${credentials.accountId} (${publicKey}) written to: ${keystorePath}`);
+        return { accountId: credentials.accountId, publicKey, keystorePath };
+    }
+
+    if (argv._[0] === 'broadcast') {
+        const inPath = argv._[1];
+        if (!inPath) {
+            throw new Error('Missing file with transactions to broadcast');
+        }
+        // Transactions which are signed already don't need credentials
+        const hasCredentials = argv.keystore || argv.accountId || process.env.NEAR_ACCOUNT_ID;
+        const signer = hasCredentials ? (await setupNearConnection(argv.network, argv.accountId, argv.privateKey, argv.nodeUrl, { keystore: argv.keystore, log })).account : null;
+        const provider = new providers.JsonRpcProvider({ url: argv.nodeUrl || `https://rpc.${argv.network}.near.org` });
+        return await broadcastTransactions(inPath, { signer, provider, transactions, log });
+    }
+
+    const deploymentLog = fileDeploymentLog(DEFAULT_DEPLOYMENTS_PATH);
+    if (argv._[0] === 'history') {
+        return await listDeployments(deploymentLog, { log: argv.json ? () => {} : console.log });
+    }
+
+    const isRollback = argv._[0] === 'rollback';
+    if (isRollback && !argv._[1]) {
+        throw new Error('Missing deployment number to roll back to, see history');
+    }
+
+    const isDeploy = argv._[0] === 'deploy';
+    if (isDeploy) {
+        filePath = argv._[1];
+        if (!filePath) {
+            throw new Error('Missing path to deploy');
+        }
+    }
+
+    if (argv.exportCar) {
+        return await exportCAR(filePath, argv.exportCar, { ...filterOptions, log, debug });
+    }
+
+    // Wrong network is reported before credentials are looked up
+    networkGatewayUrl(argv.network, argv.gatewayUrl);
+
+    // Dry run doesn't sign anything, so it doesn't need credentials. Account is still known for web4 contract default.
+    const nearConnection = argv.dryRun ? { accountId: argv.accountId || process.env.NEAR_ACCOUNT_ID } : await setupNearConnection(
+        argv.network,
+        argv.accountId,
+        argv.privateKey,
+        argv.nodeUrl,
+        {
+            keysDir: argv.keysDir,
+            generateKeys: parseInt(argv.generateKeys || '0', 10),
+            keystore: argv.keystore,
+            exportUnsigned: argv.exportUnsigned,
+            resume: argv.resume,
+            log
+        }
+    );
+
+    if (isRollback) {
+        return await rollbackWeb4(Number(argv._[1]), nearConnection, {
+            network: argv.network,
+            gatewayUrl: argv.gatewayUrl,
+            web4Contract: argv.web4Contract,
+            web4Method: argv.web4Method,
+            transactions,
+            dryRun: argv.dryRun,
+            deploymentLog,
+            log
+        });
+    }
+
+    return await (isDeploy ? deployWeb4 : executeUpload)(
+        filePath,
+        nearConnection,
+        { 
+            network: argv.network, 
+            gatewayUrl: argv.gatewayUrl,
+            web4Contract: argv.web4Contract,
+            web4Method: argv.web4Method,
+            transactions,
+            dryRun: argv.dryRun,
+            resume: argv.resume,
+            verify: argv.verify,
+            previousRoot: argv.base,
+            cache: argv.cache,
+            deploymentLog,
+            log,
+            debug,
+            ...filterOptions
+        }
+    );
 }
 
 export { main };
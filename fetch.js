@@ -0,0 +1,303 @@
+import { readCID, readPBNode, stringToCid, CODEC_RAW, CODEC_DAG_PB } from 'fast-ipfs';
+import sha256 from 'js-sha256';
+import { cidToV1String } from './car.js';
+import { DEFAULT_OPTIONS, UNIXFS_RAW, UNIXFS_DIRECTORY, UNIXFS_FILE, UNIXFS_HAMT_SHARD, RETRYABLE_HTTP_STATUSES, mapConcurrently, sleep } from './upload.js';
+
+// See https://specs.ipfs.tech/http-gateways/trustless-gateway/ for ?format=raw requests
+
+// Varints in UnixFS can be over 32 bits (e.g. file sizes), so they are read as numbers without bitwise ops
+function readVarint(data, offset) {
+    let value = 0;
+    let multiplier = 1;
+    for (;;) {
+        const byte = data[offset++];
+        if (byte === undefined) {
+            throw new Error('Unexpected end of varint');
+        }
+        value += (byte & 0x7f) * multiplier;
+        if (byte < 0x80) {
+            return [value, offset];
+        }
+        multiplier *= 0x80;
+    }
+}
+
+function readProtoFields(data) {
+    const fields = [];
+    let offset = 0;
+    while (offset < data.length) {
+        let fieldTag, value;
+        [fieldTag, offset] = readVarint(data, offset);
+        const wireType = fieldTag & 0x7;
+        switch (wireType) {
+            case 0:
+                [value, offset] = readVarint(data, offset);
+                break;
+            case 2: {
+                let length;
+                [length, offset] = readVarint(data, offset);
+                value = data.subarray(offset, offset + length);
+                offset += length;
+                break;
+            }
+            case 5:
+                value = data.readUInt32LE(offset);
+                offset += 4;
+                break;
+            default:
+                throw new Error(`Unsupported wire type: ${wireType}`);
+        }
+        fields.push([Math.floor(fieldTag / 8), value]);
+    }
+    return fields;
+}
+
+// Unlike readUnixFSData from fast-ipfs, also reads HAMT parameters and UnixFS 1.5 metadata
+function readUnixFSNode(data) {
+    const result = { blockSizes: [] };
+    for (const [fieldNumber, value] of readProtoFields(data)) {
+        switch (fieldNumber) {
+            case 1: result.type = value; break;
+            case 2: result.data = value; break;
+            case 3: result.fileSize = value; break;
+            case 4: result.blockSizes.push(value); break;
+            case 5: result.hashType = value; break;
+            case 6: result.fanout = value; break;
+            case 7: result.mode = value; break;
+            case 8: {
+                const mtime = { secs: 0 };
+                for (const [timeFieldNumber, timeValue] of readProtoFields(value)) {
+                    if (timeFieldNumber === 1) {
+                        mtime.secs = timeValue;
+                    } else if (timeFieldNumber === 2) {
+                        mtime.nsecs = timeValue;
+                    }
+                }
+                result.mtime = mtime;
+                break;
+            }
+        }
+    }
+    return result;
+}
+
+// Accepts CID as multibase string (e.g. bafy...) or bytes
+function parseCID(cid) {
+    if (typeof cid !== 'string') {
+        return cid;
+    }
+    try {
+        const bytes = Buffer.from(stringToCid(cid));
+        readCID(bytes);
+        return bytes;
+    } catch (error) {
+        throw new Error(`Invalid CID: ${cid}`, { cause: error });
+    }
+}
+
+// Fetches single block from the gateway and makes sure that it matches CID
+async function fetchBlock(cid, options = DEFAULT_OPTIONS) {
+    const { gatewayUrl, retryCount, fetchTimeout, log } = { ...DEFAULT_OPTIONS, ...options };
+    cid = parseCID(cid);
+    const { codec, hash } = readCID(cid);
+    if (codec !== CODEC_RAW && codec !== CODEC_DAG_PB) {
+        throw new Error(`Unsupported codec 0x${codec.toString(16)} of block ${cidToV1String(cid)}`);
+    }
+
+    const cid32 = cidToV1String(cid);
+    const url = `${gatewayUrl}/ipfs/${cid32}?format=raw`;
+    for (let attempt = 1; ; attempt++) {
+        let res;
+        try {
+            res = await fetch(url, { headers: { Accept: 'application/vnd.ipld.raw' }, signal: AbortSignal.timeout(fetchTimeout) });
+        } catch (e) {
+            if (attempt >= retryCount) {
+                throw new Error(`Failed to fetch block ${cid32}: ${e.message}`, { cause: e });
+            }
+            log('Retrying', url, 'after error:', e.message);
+            await sleep(1000 * attempt);
+            continue;
+        }
+
+        if (res.status === 404) {
+            const error = new Error(`Block ${cid32} not found at ${gatewayUrl}`);
+            error.code = 'BLOCK_NOT_FOUND';
+            throw error;
+        }
+        // Same statuses as for transactions, e.g. rate limits or gateway restarting
+        if (RETRYABLE_HTTP_STATUSES.includes(res.status) && attempt < retryCount) {
+            log('Retrying', url, 'after status', res.status);
+            await sleep(1000 * attempt);
+            continue;
+        }
+        if (res.status !== 200) {
+            throw new Error(`Unexpected status code ${res.status} for ${url}`);
+        }
+
+        const data = Buffer.from(await res.arrayBuffer());
+        if (!Buffer.from(sha256.arrayBuffer(data)).equals(hash)) {
+            const error = new Error(`Block ${cid32} from ${gatewayUrl} doesn't match its hash`);
+            error.code = 'BLOCK_HASH_MISMATCH';
+            throw error;
+        }
+        return { cid, data };
+    }
+}
+
+// Fetches blocks at most fetchConcurrency at once, yielding them in the same order as CIDs
+async function* fetchBlocks(cids, options = DEFAULT_OPTIONS, fetchOne = fetchBlock) {
+    const { fetchConcurrency } = { ...DEFAULT_OPTIONS, ...options };
+    for (let i = 0; i < cids.length; i += fetchConcurrency) {
+        const window = cids.slice(i, i + fetchConcurrency);
+        yield* await mapConcurrently(window, fetchConcurrency, cid => fetchOne(cid, options));
+    }
+}
+
+// Returns CIDs linked from the block which weren't seen yet, marking them as seen
+function unseenLinks({ cid, data }, seen) {
+    if (readCID(cid).codec !== CODEC_DAG_PB) {
+        return [];
+    }
+    return readPBNode(data).links.map(({ cid }) => cid).filter(childCid => {
+        const childCid32 = cidToV1String(childCid);
+        if (seen.has(childCid32)) {
+            return false;
+        }
+        seen.add(childCid32);
+        return true;
+    });
+}
+
+// Yields every block of the DAG once, parents before children, walking dag-pb links depth-first.
+// Every block is verified, so whole DAG is known to be intact when walk finishes.
+async function* fetchDAG(cid, options = DEFAULT_OPTIONS) {
+    cid = parseCID(cid);
+    const seen = new Set([cidToV1String(cid)]);
+
+    async function* walk(cids) {
+        for await (const block of fetchBlocks(cids, options)) {
+            yield block;
+            yield* walk(unseenLinks(block, seen));
+        }
+    }
+
+    yield* walk([cid]);
+}
+
+const MISSING_BLOCK_ERRORS = ['BLOCK_NOT_FOUND', 'BLOCK_HASH_MISMATCH'];
+
+// Walks DAG like fetchDAG, but doesn't stop at blocks which are missing on the gateway or don't match their CID.
+// Returns { verified, missing } lists of CID strings, blocks under missing ones can't be reached so aren't in either list.
+async function verifyDAG(cid, options = DEFAULT_OPTIONS) {
+    cid = parseCID(cid);
+    const seen = new Set([cidToV1String(cid)]);
+    const verified = [];
+    const missing = [];
+
+    const fetchOrSkip = async (cid, options) => {
+        try {
+            return await fetchBlock(cid, options);
+        } catch (error) {
+            if (MISSING_BLOCK_ERRORS.includes(error.code)) {
+                return { cid, data: null };
+            }
+            throw error;
+        }
+    };
+
+    async function walk(cids) {
+        for await (const block of fetchBlocks(cids, options, fetchOrSkip)) {
+            if (!block.data) {
+                missing.push(cidToV1String(block.cid));
+                continue;
+            }
+            verified.push(cidToV1String(block.cid));
+            await walk(unseenLinks(block, seen));
+        }
+    }
+
+    await walk([cid]);
+    return { verified, missing };
+}
+
+// Reads directory DAG without file contents, only dag-pb blocks are fetched as raw leaves are known from links.
+// Returns { files, cids }: map of file and symlink paths to CID strings and set of every CID in the DAG.
+async function readDAGFiles(cid, options = DEFAULT_OPTIONS) {
+    cid = parseCID(cid);
+    const files = new Map();
+    const cids = new Set();
+    const joinPath = (dirName, name) => dirName ? `${dirName}/${name}` : name;
+
+    // Entries inside of files have null name
+    async function walk(entries) {
+        const dagPbEntries = [];
+        for (const entry of entries) {
+            const cid32 = cidToV1String(entry.cid);
+            cids.add(cid32);
+            if (readCID(entry.cid).codec === CODEC_DAG_PB) {
+                dagPbEntries.push(entry);
+            } else if (entry.name !== null) {
+                files.set(entry.name, cid32);
+            }
+        }
+
+        let i = 0;
+        for await (const block of fetchBlocks(dagPbEntries.map(({ cid }) => cid), options)) {
+            const { name } = dagPbEntries[i++];
+            const node = readPBNode(block.data);
+            const { type, fanout } = readUnixFSNode(node.data || Buffer.alloc(0));
+            if (type === UNIXFS_DIRECTORY && name !== null) {
+                await walk(node.links.map(link => ({ cid: link.cid, name: joinPath(name, link.name) })));
+            } else if (type === UNIXFS_HAMT_SHARD && name !== null) {
+                // Links with just the index in the shard point to nested shards of the same directory
+                const prefixLength = (fanout - 1).toString(16).length;
+                await walk(node.links.map(link => ({
+                    cid: link.cid,
+                    name: link.name.length === prefixLength ? name : joinPath(name, link.name.slice(prefixLength))
+                })));
+            } else {
+                if (name !== null) {
+                    files.set(name, cidToV1String(block.cid));
+                }
+                await walk(node.links.map(link => ({ cid: link.cid, name: null })));
+            }
+        }
+    }
+
+    await walk([{ cid, name: '' }]);
+    if (files.has('')) {
+        throw new Error(`${cidToV1String(cid)} is not a directory`);
+    }
+    return { files, cids };
+}
+
+// Yields contents of UnixFS file (or raw block) in order, fetching blocks it links to
+async function* readFileChunks(block, options = DEFAULT_OPTIONS) {
+    if (readCID(block.cid).codec === CODEC_RAW) {
+        yield block.data;
+        return;
+    }
+
+    const node = readPBNode(block.data);
+    const { type, data } = readUnixFSNode(node.data || Buffer.alloc(0));
+    if (type !== UNIXFS_RAW && type !== UNIXFS_FILE) {
+        throw new Error(`Block ${cidToV1String(block.cid)} is not a file`);
+    }
+    if (data) {
+        yield data;
+    }
+    for await (const child of fetchBlocks(node.links.map(({ cid }) => cid), options)) {
+        yield* readFileChunks(child, options);
+    }
+}
+
+export {
+    parseCID,
+    readUnixFSNode,
+    fetchBlock,
+    fetchBlocks,
+    fetchDAG,
+    verifyDAG,
+    readDAGFiles,
+    readFileChunks,
+};
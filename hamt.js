@@ -0,0 +1,114 @@
+// See https://github.com/ipfs/specs/blob/main/UNIXFS.md#hamt-structure-and-parameters for format details
+
+// Same parameters as kubo uses for sharded directories
+const HAMT_FANOUT = 256;
+const HAMT_HASH_TYPE = 0x22; // murmur3-x64-64
+const HAMT_MAX_DEPTH = 64;
+
+const MASK_64 = (1n << 64n) - 1n;
+
+const rotl64 = (value, bits) => ((value << bits) | (value >> (64n - bits))) & MASK_64;
+const mul64 = (a, b) => (a * b) & MASK_64;
+
+function fmix64(k) {
+    k ^= k >> 33n;
+    k = mul64(k, 0xff51afd7ed558ccdn);
+    k ^= k >> 33n;
+    k = mul64(k, 0xc4ceb9fe1a85ec53n);
+    k ^= k >> 33n;
+    return k;
+}
+
+// Returns first 64 bits of murmur3-x64-128 with zero seed, which is all that kubo uses
+function murmur3x64(data) {
+    const C1 = 0x87c37b91114253d5n;
+    const C2 = 0x4cf5ad432745937fn;
+    let h1 = 0n;
+    let h2 = 0n;
+
+    const blocksLength = data.length - data.length % 16;
+    for (let i = 0; i < blocksLength; i += 16) {
+        let k1 = data.readBigUInt64LE(i);
+        let k2 = data.readBigUInt64LE(i + 8);
+
+        h1 ^= mul64(rotl64(mul64(k1, C1), 31n), C2);
+        h1 = (mul64(rotl64(h1, 27n) + h2, 5n) + 0x52dce729n) & MASK_64;
+
+        h2 ^= mul64(rotl64(mul64(k2, C2), 33n), C1);
+        h2 = (mul64(rotl64(h2, 31n) + h1, 5n) + 0x38495ab5n) & MASK_64;
+    }
+
+    let k1 = 0n;
+    let k2 = 0n;
+    for (let i = data.length - 1; i >= blocksLength; i--) {
+        if (i - blocksLength >= 8) {
+            k2 = (k2 << 8n) | BigInt(data[i]);
+        } else {
+            k1 = (k1 << 8n) | BigInt(data[i]);
+        }
+    }
+    if (data.length - blocksLength > 8) {
+        h2 ^= mul64(rotl64(mul64(k2, C2), 33n), C1);
+    }
+    if (data.length - blocksLength > 0) {
+        h1 ^= mul64(rotl64(mul64(k1, C1), 31n), C2);
+    }
+
+    const length = BigInt(data.length);
+    h1 ^= length;
+    h2 ^= length;
+    h1 = (h1 + h2) & MASK_64;
+    h2 = (h2 + h1) & MASK_64;
+    h1 = fmix64(h1);
+    h2 = fmix64(h2);
+    return (h1 + h2) & MASK_64;
+}
+
+// Every level of the tree uses next 8 bits of the name hash, name is hashed again with level suffix when bits run out
+function hamtIndex(name, depth) {
+    const nameBytes = Buffer.from(name);
+    const hash = murmur3x64(depth < 8 ? nameBytes : Buffer.concat([nameBytes, Buffer.from([depth >> 3])]));
+    return Number((hash >> BigInt(56 - 8 * (depth % 8))) & 0xffn);
+}
+
+// Returns bucket as list of { index, link } or { index, bucket } sorted by index,
+// links which have the same index go into sub-bucket
+function hamtBucket(links, depth = 0) {
+    if (depth >= HAMT_MAX_DEPTH) {
+        throw new Error(`Too many HAMT hash collisions: ${links.map(({ name }) => name).join(', ')}`);
+    }
+
+    const slots = new Map();
+    for (const link of links) {
+        const index = hamtIndex(link.name, depth);
+        slots.set(index, [...(slots.get(index) || []), link]);
+    }
+
+    return [...slots.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([index, slotLinks]) => slotLinks.length === 1
+            ? { index, link: slotLinks[0] }
+            : { index, bucket: hamtBucket(slotLinks, depth + 1) });
+}
+
+// Big-endian bitfield with bit set for every used index, leading zero bytes are trimmed like in go-bitfield
+function writeHAMTBitfield(indexes) {
+    const bitfield = Buffer.alloc(HAMT_FANOUT / 8);
+    for (const index of indexes) {
+        bitfield[bitfield.length - 1 - (index >> 3)] |= 1 << (index & 7);
+    }
+    const firstNonZero = bitfield.findIndex(byte => byte !== 0);
+    return firstNonZero === -1 ? Buffer.alloc(0) : bitfield.subarray(firstNonZero);
+}
+
+const hamtLinkPrefix = (index) => index.toString(16).toUpperCase().padStart(2, '0');
+
+export {
+    HAMT_FANOUT,
+    HAMT_HASH_TYPE,
+    murmur3x64,
+    hamtIndex,
+    hamtBucket,
+    writeHAMTBitfield,
+    hamtLinkPrefix,
+};
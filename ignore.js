@@ -0,0 +1,148 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// See https://git-scm.com/docs/gitignore#_pattern_format for pattern syntax
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// Returns { regex, negate, directoryOnly }, regex is matched against path relative to pattern base
+function compilePattern(pattern) {
+    let negate = false;
+    if (pattern.startsWith('!')) {
+        negate = true;
+        pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\')) {
+        pattern = pattern.slice(1);
+    }
+
+    const directoryOnly = pattern.endsWith('/');
+    if (directoryOnly) {
+        pattern = pattern.slice(0, -1);
+    }
+    // Patterns without slash in the middle match name at any level
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) {
+        pattern = pattern.slice(1);
+    }
+
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const atSegmentStart = i === 0 || pattern[i - 1] === '/';
+        if (pattern.startsWith('**/', i) && atSegmentStart) {
+            source += '(?:.*/)?';
+            i += 2;
+        } else if (pattern.startsWith('**', i) && atSegmentStart && i + 2 === pattern.length) {
+            source += '.*';
+            i += 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+            while (pattern[i + 1] === '*') {
+                i++;
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+            const end = pattern.indexOf(']', i + 2);
+            const range = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+            source += range.startsWith('!') ? `[^${range.slice(1)}]` : `[${range}]`;
+            i = end;
+        } else if (char === '\\' && i + 1 < pattern.length) {
+            source += escapeRegExp(pattern[++i]);
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+
+    return {
+        regex: new RegExp(anchored ? `^${source}$` : `(?:^|/)${source}$`),
+        negate,
+        directoryOnly,
+    };
+}
+
+function parseIgnoreFile(text, base) {
+    return text.split(/\r?\n/)
+        // Trailing spaces are ignored unless escaped with backslash
+        .map(line => line.replace(/(?<!\\) +$/, ''))
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => ({ ...compilePattern(line), base }));
+}
+
+function matchesRule({ regex, directoryOnly, base }, relativePath, isDirectory) {
+    if (directoryOnly && !isDirectory) {
+        return false;
+    }
+    if (base) {
+        if (!relativePath.startsWith(base + '/')) {
+            return false;
+        }
+        relativePath = relativePath.slice(base.length + 1);
+    }
+    return regex.test(relativePath);
+}
+
+// Last matching rule wins, so that later rules and nested ignore files can override earlier ones
+function isIgnoredByRules(rules, relativePath, isDirectory) {
+    let ignored = false;
+    for (const rule of rules) {
+        if (matchesRule(rule, relativePath, isDirectory)) {
+            ignored = !rule.negate;
+        }
+    }
+    return ignored;
+}
+
+const NEARFS_IGNORE_FILE = '.nearfsignore';
+
+// Decides which files from a directory get uploaded. Every directory can have its own ignore files,
+// rules from them apply to paths under that directory.
+// Paths are relative to the uploaded directory and use '/' as separator.
+function fileFilter(options = {}, rules = []) {
+    const { gitignore = false, include = [], exclude = [], hidden = false } = options;
+    const ignoreFiles = gitignore ? [NEARFS_IGNORE_FILE, '.gitignore'] : [NEARFS_IGNORE_FILE];
+    const includeRules = include.map(pattern => ({ ...compilePattern(pattern), base: '' }));
+    const excludeRules = exclude.map(pattern => ({ ...compilePattern(pattern), base: '' }));
+
+    const filter = {
+        // Directories are walked only to look for included files, so ones without them aren't kept
+        picksFiles: includeRules.length > 0,
+        async forDirectory(dirPath, relativeDir) {
+            const dirRules = [];
+            for (const ignoreFile of ignoreFiles) {
+                let text;
+                try {
+                    text = await fs.readFile(path.join(dirPath, ignoreFile), 'utf8');
+                } catch (error) {
+                    if (error.code === 'ENOENT') {
+                        continue;
+                    }
+                    throw error;
+                }
+                dirRules.push(...parseIgnoreFile(text, relativeDir));
+            }
+            return dirRules.length > 0 ? fileFilter(options, [...rules, ...dirRules]) : filter;
+        },
+        isIgnored(relativePath, isDirectory) {
+            const name = path.posix.basename(relativePath);
+            if (name === NEARFS_IGNORE_FILE || (!hidden && name.startsWith('.'))) {
+                return true;
+            }
+            if (isIgnoredByRules(rules, relativePath, isDirectory)) {
+                return true;
+            }
+            if (excludeRules.some(rule => matchesRule(rule, relativePath, isDirectory))) {
+                return true;
+            }
+            // Include patterns only pick files, directories are still walked to look for them
+            return !isDirectory && includeRules.length > 0 && !includeRules.some(rule => matchesRule(rule, relativePath, isDirectory));
+        },
+    };
+    return filter;
+}
+
+export {
+    compilePattern,
+    parseIgnoreFile,
+    fileFilter,
+};
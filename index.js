@@ -1,283 +1,926 @@
-import { cidToString, packCID, writePBNode, CODEC_RAW, CODEC_DAG_PB, readCAR, readBlock } from 'fast-ipfs';
-import sha256 from 'js-sha256';
+import { cidToString, packCID, readCID, readPBNode, CODEC_RAW, CODEC_DAG_PB } from 'fast-ipfs';
 import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
 import path from 'path';
+import os from 'os';
+import { readCARFile, readCARHeader, cidToV1String, writeCARHeader, writeCARBlock } from './car.js';
+import { fileFilter } from './ignore.js';
+import { uploadFiles, uploadCAR, uploadBlocks, generateBlocks, fsStoreGas, NETWORK_LIMITS, gatewayExistenceCheck, cachedExistenceCheck, ignoreExpectedNearError, isRetryableNearError, sleep, UNIXFS_RAW, UNIXFS_DIRECTORY, UNIXFS_FILE, UNIXFS_SYMLINK, UNIXFS_HAMT_SHARD } from './upload.js';
+import { parseCID, readUnixFSNode, fetchBlock, fetchBlocks, fetchDAG, verifyDAG, readDAGFiles, readFileChunks } from './fetch.js';
 
-const computeHash = (data) => Buffer.from(sha256.arrayBuffer(data));
+// Node.js specific parts (file system, CLI helpers), browser-safe code is in upload.js
+export {
+    uploadFiles,
+    buildCAR,
+    uploadCAR,
+    isAlreadyUploaded,
+    blocksToUpload,
+    splitOnBatches,
+    fsStoreGas,
+    NETWORK_LIMITS,
+    uploadBlocks,
+    isExpectedNearError,
+    isRetryableNearError,
+    gatewayExistenceCheck,
+    cachedExistenceCheck,
+    indexerExistenceCheck,
+    generateFileBlocks,
+    generateBlocks,
+} from './upload.js';
+export { createKeystore, readKeystore, unsignedTransactionsSigner, broadcastTransactions } from './signers.js';
+
+const DEFAULT_CHECKPOINT_PATH = '.nearfs/checkpoint.jsonl';
+export const DEFAULT_DEPLOYMENTS_PATH = '.nearfs/deployments.json';
+const defaultCacheDir = () => path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'nearfs-upload');
+
+const SYMLINK_POLICIES = ['follow', 'skip', 'store'];
+
+function fileMetadata(stats) {
+    return {
+        mode: Number(stats.mode) & 0o7777,
+        mtime: { secs: Number(stats.mtimeNs / 1_000_000_000n), nsecs: Number(stats.mtimeNs % 1_000_000_000n) }
+    };
+}
 
-const DEFAULT_OPTIONS = {
-    log: console.log,
-    statusCallback: ({ currentBlocks, totalBlocks }) => {},
-    timeout: 2500,
-    retryCount: 3,
-    gatewayUrl: 'https://ipfs.web4.near.page',
-    signAndSendTransaction: async () => { throw new Error('signAndSendTransaction not implemented'); },
-};
+// Walks directory lazily, file contents are streamed only when consumed.
+// Optional filter (see fileFilter) decides which files and directories to skip.
+// Yields { name, content } for files, { name, type: 'directory' } for directories left empty after filtering and
+// { name, type: 'symlink', target } for symlinks when they are stored.
+// With metadata every directory (root one has empty name) and file also gets mode and mtime.
+async function* readFilesRecursively(rootDir, { filter = null, symlinks = 'follow', metadata = false } = {}) {
+    if (!SYMLINK_POLICIES.includes(symlinks)) {
+        throw new Error(`Unsupported symlinks policy: ${symlinks}, expected one of ${SYMLINK_POLICIES.join(', ')}`);
+    }
 
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    const toRelativePath = (fullPath) => path.relative(rootDir, fullPath).split(path.sep).join('/');
 
-async function isAlreadyUploaded(cid, options = DEFAULT_OPTIONS) {
-    const { log, timeout, retryCount, gatewayUrl } = options;
-    const cid32 = cidToString(cid);
-    const urlToCheck = `${gatewayUrl}/ipfs/${cid32}`;
-    for (let i = 0; i < retryCount; i++) {
-        try {
-            const res = await fetch(urlToCheck, { method: 'HEAD', signal: AbortSignal.timeout(timeout) });
-            if (res.status === 200) {
-                log('Block', cid32, 'already exists on chain, skipping');
-                return true;
+    // Followed symlinks can point to one of the parent directories, real paths of parents are tracked to stop that
+    async function* walk(dir, parentFilter, parentRealPaths) {
+        const realPath = await fs.realpath(dir);
+        if (parentRealPaths.includes(realPath)) {
+            throw new Error(`Symlink loop: ${toRelativePath(dir)}`);
+        }
+        const realPaths = [...parentRealPaths, realPath];
+
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+
+        // Sort entries so that walk order (and so block order) doesn't depend on file system
+        entries.sort((a, b) => Buffer.compare(Buffer.from(a.name), Buffer.from(b.name)));
+
+        const dirFilter = parentFilter && await parentFilter.forDirectory(dir, toRelativePath(dir));
+
+        // Directory with only skipped entries (e.g. uploads/.gitkeep) is kept as empty one,
+        // unless include patterns are used and none of its files matched them
+        let isEmpty = true;
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            const name = toRelativePath(fullPath);
+            let stats = entry;
+
+            if (entry.isSymbolicLink()) {
+                if (symlinks === 'skip') {
+                    continue;
+                }
+                if (symlinks === 'store') {
+                    if (dirFilter && dirFilter.isIgnored(name, false)) {
+                        continue;
+                    }
+                    isEmpty = false;
+                    yield {
+                        name,
+                        type: 'symlink',
+                        target: await fs.readlink(fullPath),
+                        ...(metadata && fileMetadata(await fs.lstat(fullPath, { bigint: true })))
+                    };
+                    continue;
+                }
+
+                try {
+                    stats = await fs.stat(fullPath);
+                } catch (error) {
+                    if (error.code === 'ENOENT') {
+                        throw new Error(`Broken symlink: ${name}`);
+                    }
+                    if (error.code === 'ELOOP') {
+                        throw new Error(`Symlink loop: ${name}`);
+                    }
+                    throw error;
+                }
             }
 
-            if (res.status !== 404) {
-                throw new Error(`Unexpected status code ${res.status} for ${urlToCheck}`);
-            }
-        } catch (e) {
-            if (e.name === 'AbortError') {
-                log('Timeout while checking', urlToCheck);
+            if (dirFilter && dirFilter.isIgnored(name, stats.isDirectory())) {
                 continue;
             }
-            throw e;
+
+            if (stats.isDirectory()) {
+                if (yield* walk(fullPath, dirFilter, realPaths)) {
+                    isEmpty = false;
+                }
+            } else {
+                isEmpty = false;
+                yield {
+                    name,
+                    content: createReadStream(fullPath),
+                    ...(metadata && fileMetadata(await fs.stat(fullPath, { bigint: true })))
+                };
+            }
+        }
+
+        // Resolves to true when directory is kept, so that parent knows it isn't empty
+        const isKept = !isEmpty || entries.length === 0 || !dirFilter?.picksFiles;
+        if (isKept && (isEmpty || metadata)) {
+            yield { name: toRelativePath(dir), type: 'directory', ...(metadata && fileMetadata(await fs.stat(dir, { bigint: true }))) };
         }
+        return isKept;
     }
 
-    return false;
+    yield* walk(rootDir, filter, []);
 }
 
-function splitOnBatches(newBlocks) {
-    let currentBatch = [];
-    const batches = [currentBatch];
-    const MAX_BATCH_ACTIONS = 7;
-    const MAX_BATCH_BYTES = 256 * 1024;
-    for (let { data } of newBlocks) {
-        if (currentBatch.length >= MAX_BATCH_ACTIONS || currentBatch.reduce((a, b) => a + b.length, 0) >= MAX_BATCH_BYTES) {
-            currentBatch = [];
-            batches.push(currentBatch);
+async function readInputFiles(filePath, options = {}) {
+    const { symlinks, metadata } = options;
+    const stats = await fs.stat(filePath, { bigint: true });
+    return stats.isDirectory()
+        ? readFilesRecursively(filePath, { filter: fileFilter(options), symlinks, metadata })
+        : [{
+            name: path.basename(filePath),
+            content: createReadStream(filePath),
+            ...(metadata && fileMetadata(stats))
+          }];
+}
+
+// Stores upload progress as JSON lines, so that interrupted upload can be resumed
+export function fileCheckpoint(checkpointPath) {
+    let writeQueue = Promise.resolve();
+    return {
+        async load() {
+            let text;
+            try {
+                text = await fs.readFile(checkpointPath, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return [];
+                }
+                throw error;
+            }
+
+            const entries = [];
+            for (const line of text.split('\n').filter(Boolean)) {
+                try {
+                    entries.push(JSON.parse(line));
+                } catch (error) {
+                    // Last line is incomplete if process was killed while writing it
+                    break;
+                }
+            }
+            return entries;
+        },
+        append(entry) {
+            // Writes are queued so that lines don't interleave with concurrent uploads
+            writeQueue = writeQueue.then(async () => {
+                await fs.mkdir(path.dirname(checkpointPath), { recursive: true });
+                await fs.appendFile(checkpointPath, JSON.stringify(entry) + '\n');
+            });
+            return writeQueue;
+        },
+        async clear() {
+            await fs.rm(checkpointPath, { force: true });
+            // Don't leave empty checkpoint directory behind, fails if anything else is there
+            await fs.rmdir(path.dirname(checkpointPath)).catch(() => {});
+        },
+    };
+}
+
+// Stores CIDs as lines of text file, good enough for sets of up to millions of blocks
+export function fileCIDCache(cachePath) {
+    let writeQueue = Promise.resolve();
+    const load = async () => {
+        try {
+            const text = await fs.readFile(cachePath, 'utf8');
+            return new Set(text.split('\n').filter(Boolean));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return new Set();
+            }
+            throw error;
         }
+    };
+    return {
+        load,
+        add(cids) {
+            writeQueue = writeQueue.then(async () => {
+                await fs.mkdir(path.dirname(cachePath), { recursive: true });
+                await fs.appendFile(cachePath, cids.join('\n') + '\n');
+            });
+            return writeQueue;
+        },
+        // Forgets blocks which turned out to be missing, file is replaced atomically
+        remove(cids) {
+            const removed = new Set(cids);
+            writeQueue = writeQueue.then(async () => {
+                const known = await load();
+                const kept = [...known].filter(cid => !removed.has(cid));
+                if (kept.length === known.size) {
+                    return;
+                }
+                const tmpPath = `${cachePath}.tmp`;
+                await fs.writeFile(tmpPath, kept.map(cid => cid + '\n').join(''));
+                await fs.rename(tmpPath, cachePath);
+            });
+            return writeQueue;
+        },
+        async clear() {
+            await fs.rm(cachePath, { force: true });
+        },
+    };
+}
 
-        currentBatch.push(data);
+// Stores finished uploads and deploys as JSON array, meant to be read by people and kept in the repo
+export function fileDeploymentLog(logPath) {
+    let writeQueue = Promise.resolve();
+    const load = async () => {
+        try {
+            return JSON.parse(await fs.readFile(logPath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    };
+    return {
+        load,
+        append(entry) {
+            writeQueue = writeQueue.then(async () => {
+                const entries = await load();
+                entries.push(entry);
+                // Whole file is replaced, so it's written next to it first to not lose history if process is killed
+                await fs.mkdir(path.dirname(logPath), { recursive: true });
+                await fs.writeFile(`${logPath}.tmp`, JSON.stringify(entries, null, 2) + '\n');
+                await fs.rename(`${logPath}.tmp`, logPath);
+            });
+            return writeQueue;
+        },
+    };
+}
+
+// Commit uploaded files come from, null when they aren't in git repo
+async function gitHead(filePath) {
+    const stats = await fs.stat(filePath);
+    const cwd = stats.isDirectory() ? filePath : path.dirname(filePath);
+    try {
+        const { stdout } = await promisify(execFile)('git', ['rev-parse', 'HEAD'], { cwd });
+        return stdout.trim();
+    } catch (error) {
+        return null;
     }
-    return batches;
 }
 
+// Blocks stored on one network are unknown to the other one, so every gateway gets its own cache
+export function cidCachePath(gatewayUrl, cacheDir = defaultCacheDir()) {
+    return path.join(cacheDir, `${new URL(gatewayUrl).host.replace(':', '_')}.txt`);
+}
+
+export async function clearCache(cacheDir = defaultCacheDir(), { log = console.log } = {}) {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+    log('Cleared CID cache at', cacheDir);
+    return { cacheDir };
+}
 
-async function uploadBlocks(blocks, options = DEFAULT_OPTIONS) {
-    const { log, statusCallback, signAndSendTransaction } = { ...DEFAULT_OPTIONS, ...options };
+export function networkGatewayUrl(network, customGatewayUrl) {
+    if (customGatewayUrl) {
+        return customGatewayUrl;
+    } else if (network === 'mainnet') {
+        return 'https://ipfs.web4.near.page';
+    } else if (network === 'testnet') {
+        return 'https://ipfs.web4.testnet.page';
+    }
+    throw new Error('Network must be either "mainnet" or "testnet", or provide a custom gateway URL with --gateway-url');
+}
 
-    const THROTTLE_MS = 25;
-    const blocksAndStatus = (await Promise.all(blocks.map(async ({ data, cid }, i) => ({ data, cid, uploaded: (await sleep(i * THROTTLE_MS), await isAlreadyUploaded(cid, options)) }))));
-    const filteredBlocks = blocksAndStatus.filter(({ uploaded }) => !uploaded);
-    const batches = splitOnBatches(filteredBlocks);
+// Walks uploaded DAGs through the gateway and uploads blocks which are missing there (or don't match CID) again.
+// localBlocks() makes fresh iterable of all blocks, so that they don't need to be kept in memory.
+// Returns number of verified blocks, throws if some blocks are still missing after verifyRetryCount attempts.
+async function verifyUpload(rootCids, localBlocks, options) {
+    const { log, gatewayUrl, verifyRetryCount, verifyRetryDelay } = options;
+
+    for (let attempt = 0; ; attempt++) {
+        log(`Verifying upload through ${gatewayUrl}`);
+        const verified = new Set();
+        const missing = new Set();
+        for (const rootCid of rootCids) {
+            const result = await verifyDAG(rootCid, options);
+            result.verified.forEach(cid => verified.add(cid));
+            result.missing.forEach(cid => missing.add(cid));
+        }
 
-    let totalBlocks = batches.reduce((a, b) => a + b.length, 0);
-    let currentBlocks = 0;
+        if (missing.size === 0) {
+            log(`Verified ${verified.size} blocks`);
+            return verified.size;
+        }
+        if (attempt >= verifyRetryCount) {
+            const error = new Error(`Upload is incomplete, ${missing.size} blocks are still missing on ${gatewayUrl}: ${[...missing].join(', ')}`);
+            error.code = 'PARTIAL_UPLOAD';
+            throw error;
+        }
 
-    for (let batch of batches) {
-        await signAndSendTransaction(batch);
+        // Cache thinks missing blocks are uploaded, so later uploads without verification would skip them
+        if (options.cidCache) {
+            await options.cidCache.remove([...missing]);
+        }
 
-        currentBlocks += batch.length;
-        log(`Uploaded ${currentBlocks} / ${totalBlocks} blocks to NEARFS`);
-        statusCallback({ currentBlocks, totalBlocks });
+        // Blocks under missing ones can't be reached through gateway, so they are checked again as usual
+        log(`${missing.size} blocks are missing on ${gatewayUrl}, uploading them again`);
+        async function* unverifiedBlocks() {
+            for await (const block of localBlocks()) {
+                if (!verified.has(cidToV1String(block.cid))) {
+                    yield block;
+                }
+            }
+        }
+        await uploadBlocks(unverifiedBlocks(), {
+            ...options,
+            checkpoint: null,
+            // Blocks under missing ones are in the cache too, but might not be on gateway
+            cidCache: null,
+            existenceCheck: async (cids, checkOptions) => {
+                const uploaded = await gatewayExistenceCheck(cids, checkOptions);
+                return cids.map((cid, i) => !missing.has(cidToV1String(cid)) && uploaded[i]);
+            },
+        });
+        await sleep(verifyRetryDelay);
     }
 }
 
-export async function uploadFiles(files, options = DEFAULT_OPTIONS) {
-    const { log } = options;
-
-    const rootDir = { name: '', links: [] };
-    const blocksToUpload = [];    
-    for (let { name, content } of files) {
-        const path = name.split('/');
-        let dir = rootDir;
-        for (let i = 0; i < path.length - 1; i++) {
-            const dirName = path[i];
-            let dirEntry = dir.links.find(({name}) => name === dirName);
-            if (!dirEntry) {
-                dirEntry = { name: dirName, links: [] };
-                dir.links.push(dirEntry);
+export async function executeUpload(filePath, nearConnection, options = {}) {
+    const { account, accountId, accounts = [account] } = nearConnection;
+    const {
+        network,
+        gatewayUrl: customGatewayUrl,
+        transactions,
+        dryRun = false,
+        resume = false,
+        checkpointPath = DEFAULT_CHECKPOINT_PATH,
+        cache = true,
+        cacheDir = defaultCacheDir(),
+        verify = false,
+        verifyRetryCount = 3,
+        verifyRetryDelay = 5000,
+        deploymentLog = null,
+        previousRoot = null,
+        limits = {},
+        log = console.log,
+        debug = () => {}
+    } = options;
+    const startTime = Date.now();
+
+    // Determine gateway URL first - custom gateway overrides network
+    const gatewayUrl = networkGatewayUrl(network, customGatewayUrl);
+    // Custom networks (e.g. localnet) are assumed to have the same limits as mainnet
+    const networkLimits = { ...(NETWORK_LIMITS[network] || NETWORK_LIMITS.mainnet), ...limits };
+
+    // Signer only writes transactions down, blocks get on chain when they are broadcast later (see unsignedTransactionsSigner)
+    const deferred = !!account?.deferred;
+    if (deferred && verify) {
+        throw new Error('Upload can only be verified after unsigned transactions are broadcast');
+    }
+    
+    // Progress is recorded so that interrupted upload can be continued with resume option
+    const checkpoint = dryRun ? null : fileCheckpoint(checkpointPath);
+    if (checkpoint) {
+        const uploadInfo = { type: 'upload', filePath: path.resolve(filePath), gatewayUrl, accountId };
+        if (resume) {
+            const [info] = await checkpoint.load();
+            if (!info) {
+                throw new Error(`No checkpoint to resume at ${checkpointPath}`);
             }
-            dir = dirEntry;
+            if (info.filePath !== uploadInfo.filePath || info.gatewayUrl !== gatewayUrl || info.accountId !== accountId) {
+                throw new Error(`Checkpoint at ${checkpointPath} is for a different upload: ${info.filePath} to ${info.gatewayUrl} by ${info.accountId}`);
+            }
+            log('Resuming upload from checkpoint', checkpointPath);
+        } else {
+            await checkpoint.clear();
+            await checkpoint.append(uploadInfo);
         }
+    }
 
-        const fileName = path[path.length - 1];
-        const hash = computeHash(content);
-        const cid = packCID({ hash, version: 1, codec: CODEC_RAW });
-        const fileEntry = { name: fileName, cid, size: content.length };
-        dir.links.push(fileEntry);
+    // Every account uses its own access key, so it can have one transaction in flight without nonce conflicts
+    const idleAccounts = [...accounts];
+    // Tells failed uploads which have to be resumed apart from ones which didn't store anything
+    let sentBlocks = 0;
 
-        blocksToUpload.push({ data: content, cid });
+    // Create signAndSendTransaction with error handling
+    const signAndSendTransaction = async (blockDataArray) => {
+        // NEAR rejects transactions signed with function call access key unless they have a single function call
+        // (RequiresFullAccess), such keys only get single block batches, see singleBlockConcurrency
+        const index = blockDataArray.length === 1 ? idleAccounts.findIndex(account => account?.functionCallKey) : -1;
+        const [account] = idleAccounts.splice(index !== -1 ? index : idleAccounts.findIndex(account => !account?.functionCallKey), 1);
+        // Retries and fatal errors are handled by uploadBlocks
+        try {
+            const outcome = await ignoreExpectedNearError(() => account.signAndSendTransaction({
+                receiverId: accountId,
+                actions: blockDataArray.map(data => 
+                    transactions.functionCall('fs_store', data, fsStoreGas(data, networkLimits).toString(), '0')
+                ),
+            }));
+            sentBlocks += blockDataArray.length;
+            return outcome;
+        } finally {
+            idleAccounts.push(account);
+        }
+    };
+
+    // Verification can upload missing blocks again, so there can be more than one summary
+    const summaries = [];
+    const newFiles = new Map();
+    const uploadOptions = {
+        signAndSendTransaction,
+        log,
+        debug,
+        statusCallback: ({ currentBlocks, totalBlocks }) => {
+            log(`Progress: ${currentBlocks}/${totalBlocks} blocks uploaded`);
+        },
+        summaryCallback: (summary) => summaries.push(summary),
+        fileCallback: ({ name, cid }) => newFiles.set(name, cidToV1String(cid)),
+        gatewayUrl,
+        timeout: 2500,
+        retryCount: 3,
+        dryRun,
+        limits: networkLimits,
+        checkpoint,
+        cidCache: cache && !deferred ? fileCIDCache(cidCachePath(gatewayUrl, cacheDir)) : null,
+        concurrency: accounts.length,
+        singleBlockConcurrency: accounts.filter(account => account?.functionCallKey).length
+    };
+
+    // Blocks of previous version are on chain already, so they don't need to be checked
+    let previous;
+    if (previousRoot) {
+        log(`Reading previous version ${previousRoot} from ${gatewayUrl}`);
+        previous = await readDAGFiles(previousRoot, uploadOptions);
+        log(`Previous version has ${previous.files.size} files in ${previous.cids.size} blocks`);
+        uploadOptions.existenceCheck = cachedExistenceCheck(previous.cids, options.existenceCheck);
     }
 
-    function addBlocksForDir(dir) {
-        for (let entry of dir.links) {
-            if (!entry.cid) {
-                entry.cid = addBlocksForDir(entry);
-            }
+    let result;
+    let localBlocks;
+    const isCarFile = path.extname(filePath).toLowerCase() === '.car';
+
+    try {
+        if (isCarFile) {
+            const carBuffer = await fs.readFile(filePath);
+            result = await uploadCAR(carBuffer, uploadOptions);
+            localBlocks = () => readCARFile(carBuffer).blocks;
+        } else {
+            const files = await readInputFiles(filePath, options);
+            result = await uploadFiles(files, uploadOptions);
+            localBlocks = async function* () {
+                yield* generateBlocks(await readInputFiles(filePath, options), uploadOptions);
+            };
         }
-        const pbNode = writePBNode({
-            links: dir.links,
-            data: Buffer.from([8, 1])
-        });
-        const hash = computeHash(pbNode);
-        const cid = packCID({ hash, version: 1, codec: CODEC_DAG_PB });
-        blocksToUpload.push({ data: pbNode, cid });
-        return cid;
-    }        
+    } catch (error) {
+        // Some blocks are already stored, checkpoint knows which ones
+        if (sentBlocks > 0) {
+            const partialError = new Error(`Upload interrupted after ${sentBlocks} blocks, continue it with --resume: ${error.message}`, { cause: error });
+            partialError.code = 'PARTIAL_UPLOAD';
+            throw partialError;
+        }
+        throw error;
+    }
+
+    // CAR files don't have file names, so only blocks are compared for them
+    const changes = previous && !isCarFile ? diffFiles(previous.files, newFiles) : null;
+    if (changes) {
+        log(`\nChanges since ${previousRoot}: ${changes.added.length} added, ${changes.changed.length} changed, ${changes.removed.length} removed`);
+        changes.added.forEach(name => log(`  + ${name}`));
+        changes.changed.forEach(name => log(`  ~ ${name}`));
+        changes.removed.forEach(name => log(`  - ${name}`));
+    }
+
+    if (dryRun) {
+        log('\nDry run complete, nothing was uploaded.');
+        for (let rootCid of result.rootCids || [result.rootCid]) {
+            log(`Root CID: ${rootCid}`);
+        }
+        log(`Blocks: ${result.blocks} total, ${result.newBlocks} new, ${result.existingBlocks} already uploaded`);
+        log(`Bytes to upload: ${result.newBytes} of ${result.bytes}`);
+        log(`Transactions: ${result.transactions}`);
+        log(`Estimated cost: ~${result.estimatedCost.toFixed(6)} NEAR (${(result.estimatedGas / 1e12).toFixed(1)} TGas)`);
+        return { ...result, gatewayUrl, ...(changes && { changes }), durationMs: Date.now() - startTime };
+    }
+
+    const rootCids = isCarFile ? result : [result];
+    await checkpoint.clear();
+
+    let verifiedBlocks;
+    if (verify) {
+        verifiedBlocks = await verifyUpload(rootCids, localBlocks, { ...uploadOptions, verifyRetryCount, verifyRetryDelay });
+    }
+
+    const isCustomGateway = !!customGatewayUrl;
+    const urls = rootCids.flatMap(rootCid => [
+        `${gatewayUrl}/ipfs/${rootCid}`,
+        ...(isCustomGateway ? [] : [`https://${rootCid}.${gatewayUrl.replace('https://', '')}`]),
+    ]);
+
+    const transactionHashes = summaries.flatMap(({ transactionHashes }) => transactionHashes);
+    if (deferred) {
+        log(`\nUnsigned transactions written to: ${account.outPath}`);
+        log(`Sign them and send with: nearfs-upload broadcast ${account.outPath}`);
+    } else {
+        log('\nUpload complete!');
+    }
+    for (let rootCid of rootCids) {
+        log(`${deferred ? 'Once broadcast, files will be at' : 'Access your files at'}: ${gatewayUrl}/ipfs/${rootCid}`);
+        if (!isCustomGateway) {
+            const gatewayDomain = gatewayUrl.replace('https://', '');
+            log(`Or via subdomain: https://${rootCid}.${gatewayDomain}`);
+        }
+    }
 
-    log('rootDir', rootDir);
-    const rootCid = addBlocksForDir(rootDir);
-    log('rootCid', cidToString(rootCid));
+    if (deploymentLog && !deferred) {
+        await deploymentLog.append(await deploymentEntry('upload', filePath, { rootCid: rootCids[0], rootCids, network, gatewayUrl, accountId, transactionHashes }));
+    }
+
+    return {
+        rootCid: rootCids[0],
+        rootCids,
+        gatewayUrl,
+        urls,
+        blocks: summaries[0].blocks,
+        uploadedBlocks: summaries.reduce((a, { newBlocks }) => a + newBlocks, 0),
+        skippedBlocks: summaries[0].existingBlocks,
+        transactionHashes,
+        ...(deferred && { unsignedTransactionsPath: account.outPath }),
+        ...(changes && { changes }),
+        durationMs: Date.now() - startTime,
+        ...(verify && { verifiedBlocks })
+    };
+}
 
-    for (let block of blocksToUpload) {
-        log('block', cidToString(block.cid));
+// Compares { path => CID } maps of two versions, returns sorted lists of paths
+function diffFiles(previousFiles, files) {
+    const changes = { added: [], changed: [], removed: [] };
+    for (const [name, cid] of files) {
+        if (!previousFiles.has(name)) {
+            changes.added.push(name);
+        } else if (previousFiles.get(name) !== cid) {
+            changes.changed.push(name);
+        }
     }
+    changes.removed = [...previousFiles.keys()].filter(name => !files.has(name));
+    Object.values(changes).forEach(names => names.sort());
+    return changes;
+}
+
+async function deploymentEntry(type, filePath, fields) {
+    return {
+        type,
+        timestamp: new Date().toISOString(),
+        ...fields,
+        ...(filePath && { path: filePath, gitHead: await gitHead(filePath) }),
+    };
+}
 
-    await uploadBlocks(blocksToUpload, options);
+const DEFAULT_WEB4_METHOD = 'web4_setStaticUrl';
 
-    return cidToString(rootCid);
+// web4 serves <account>.near from <account>.near.page and <account>.testnet from <account>.testnet.page
+export function web4Url(contractId) {
+    const match = contractId.match(/^(.+)\.(near|testnet)$/);
+    return match ? `https://${match[1]}.${match[2]}.page` : null;
 }
 
-export async function uploadCAR(carBuffer, options = DEFAULT_OPTIONS) {
-    const { log } = options;
+// Calls web4Method({ url: 'ipfs://<cid>' }) on the contract, returns transaction hash
+async function setWeb4Root(rootCid, { account, web4Contract, web4Method, transactions, log }) {
+    const url = `ipfs://${rootCid}`;
+    log(`Calling ${web4Contract}.${web4Method} with ${url}`);
+    try {
+        const outcome = await account.signAndSendTransaction({
+            receiverId: web4Contract,
+            actions: [transactions.functionCall(web4Method, { url }, '30000000000000', '0')],
+        });
+        return outcome?.transaction_outcome?.id ?? null;
+    } catch (error) {
+        throw new Error(`Failed to update ${web4Contract} with ${web4Method}: ${error.message}`, { cause: error });
+    }
+}
+
+// Uploads files with verification and points web4 contract at the new root CID with web4Method({ url: 'ipfs://<cid>' }).
+// Contract isn't touched if some blocks can't be fetched back from the gateway.
+export async function deployWeb4(filePath, nearConnection, options = {}) {
+    const { account, accountId } = nearConnection;
+    const {
+        web4Contract = accountId,
+        web4Method = DEFAULT_WEB4_METHOD,
+        transactions,
+        dryRun = false,
+        deploymentLog = null,
+        log = console.log
+    } = options;
+    if (!web4Contract) {
+        throw new Error('Missing web4 contract to deploy to');
+    }
+
+    let result;
+    try {
+        // Deploy is recorded once contract is updated
+        result = await executeUpload(filePath, nearConnection, { ...options, verify: true, deploymentLog: null });
+    } catch (error) {
+        if (error.code === 'PARTIAL_UPLOAD') {
+            const deployError = new Error(`${error.message}. ${web4Contract} still points to the previous version`, { cause: error });
+            deployError.code = error.code;
+            throw deployError;
+        }
+        throw error;
+    }
 
-    log('Uploading CAR file to NEAR File System...');
+    const deployment = { web4Contract, web4Method, web4Url: web4Url(web4Contract) };
+    if (dryRun) {
+        log(`Would call ${web4Contract}.${web4Method} with ipfs://${result.rootCid}`);
+        return { ...result, ...deployment };
+    }
 
-    const blocks = await blocksToUpload(carBuffer, options);
-    return await uploadBlocks(blocks, options);
+    const deployTransactionHash = await setWeb4Root(result.rootCid, { account, web4Contract, web4Method, transactions, log });
+    if (deploymentLog) {
+        await deploymentLog.append(await deploymentEntry('deploy', filePath, {
+            rootCid: result.rootCid,
+            network: options.network,
+            gatewayUrl: result.gatewayUrl,
+            accountId,
+            ...deployment,
+            transactionHashes: [...result.transactionHashes, deployTransactionHash].filter(Boolean),
+        }));
+    }
+
+    log('\nDeploy complete!');
+    if (deployment.web4Url) {
+        log(`Your site is live at: ${deployment.web4Url}`);
+    }
+    return { ...result, ...deployment, deployTransactionHash };
 }
 
-async function blocksToUpload(carBuffer, options = DEFAULT_OPTIONS) {
-    const blocks = readCAR(carBuffer).slice(1).map(b => readBlock(b.data));
-    const THROTTLE_MS = 25;
-    const blocksAndStatus = await Promise.all(blocks.map(async ({ data, cid }, i) => ({
-        data,
-        cid,
-        uploaded: await sleep(i * THROTTLE_MS).then(() => isAlreadyUploaded(cid, options))
-    })));
-    return blocksAndStatus.filter(({ uploaded }) => !uploaded);
+// Prints recorded uploads and deploys, numbered from 1 for the oldest one, and returns them
+export async function listDeployments(deploymentLog, { log = console.log } = {}) {
+    const entries = await deploymentLog.load();
+    if (entries.length === 0) {
+        log('No deployments recorded yet');
+    }
+    entries.forEach((entry, i) => {
+        const target = entry.web4Contract ? ` -> ${entry.web4Contract}` : '';
+        const commit = entry.gitHead ? ` (${entry.gitHead.slice(0, 7)})` : '';
+        log(`${i + 1}. ${entry.timestamp} ${entry.type} ${entry.rootCid} on ${entry.network || entry.gatewayUrl} by ${entry.accountId}${target}${commit}`);
+    });
+    return entries;
 }
 
-async function readFilesRecursively(dir) {
-    const files = [];
-    const entries = await fs.readdir(dir, { withFileTypes: true });
+// Points web4 contract back at the root CID of n-th recorded deployment (see listDeployments).
+// Contract defaults to the one deployment went to, blocks are already on chain so nothing is uploaded.
+export async function rollbackWeb4(n, nearConnection, options = {}) {
+    const { account, accountId } = nearConnection;
+    const { network, gatewayUrl: customGatewayUrl, transactions, dryRun = false, deploymentLog, log = console.log } = options;
+    const gatewayUrl = networkGatewayUrl(network, customGatewayUrl);
+
+    const entries = await deploymentLog.load();
+    const entry = entries[n - 1];
+    if (!Number.isInteger(n) || !entry) {
+        throw new Error(`No deployment ${n}, expected number from 1 to ${entries.length}`);
+    }
+    if (entry.gatewayUrl !== gatewayUrl) {
+        throw new Error(`Deployment ${n} was uploaded to ${entry.gatewayUrl}, not ${gatewayUrl}`);
+    }
+    const {
+        web4Contract = entry.web4Contract || accountId,
+        web4Method = entry.web4Method || DEFAULT_WEB4_METHOD
+    } = options;
+
+    if (!web4Contract) {
+        throw new Error('Missing web4 contract to roll back');
+    }
+
+    const deployment = { web4Contract, web4Method, web4Url: web4Url(web4Contract) };
+    if (dryRun) {
+        log(`Would call ${web4Contract}.${web4Method} with ipfs://${entry.rootCid}`);
+        return { rootCid: entry.rootCid, gatewayUrl, ...deployment };
+    }
 
-    for (const entry of entries) {
-        const fullPath = path.join(dir, entry.name);
-        if (entry.isDirectory()) {
-            files.push(...await readFilesRecursively(fullPath));
+    const deployTransactionHash = await setWeb4Root(entry.rootCid, { account, web4Contract, web4Method, transactions, log });
+    await deploymentLog.append(await deploymentEntry('rollback', null, {
+        rootCid: entry.rootCid,
+        network,
+        gatewayUrl,
+        accountId,
+        ...deployment,
+        transactionHashes: [deployTransactionHash].filter(Boolean),
+        rollbackTo: n,
+    }));
+
+    log(`\nRolled back ${web4Contract} to deployment ${n}: ${entry.rootCid}`);
+    if (deployment.web4Url) {
+        log(`Your site is live at: ${deployment.web4Url}`);
+    }
+    return { rootCid: entry.rootCid, gatewayUrl, ...deployment, deployTransactionHash };
+}
+
+// Writes CARv1 for given file, directory or CAR file without uploading anything
+export async function exportCAR(filePath, outPath, options = {}) {
+    const { log = console.log, debug } = options;
+
+    const out = await fs.open(outPath, 'w');
+    let rootCids;
+    try {
+        if (path.extname(filePath).toLowerCase() === '.car') {
+            // Converts CARv2 to CARv1 and makes sure all blocks are valid
+            const carBuffer = await fs.readFile(filePath);
+            const { roots } = readCARHeader(carBuffer);
+            const { blocks } = readCARFile(carBuffer);
+            await out.write(writeCARHeader(roots));
+            for (let block of blocks) {
+                await out.write(writeCARBlock(block));
+            }
+            rootCids = roots.map(cidToV1String);
         } else {
-            const content = await fs.readFile(fullPath);
-            files.push({
-                name: path.relative(dir, fullPath),
-                content: Buffer.from(content)
-            });
+            // Root CID is only known at the end, so write header with placeholder CID of the same size first
+            const placeholderCid = packCID({ hash: Buffer.alloc(32), version: 1, codec: CODEC_DAG_PB });
+            await out.write(writeCARHeader([placeholderCid]));
+
+            let rootCid;
+            async function* blocks() {
+                rootCid = yield* generateBlocks(await readInputFiles(filePath, options), { log, debug });
+            }
+            for await (const block of blocks()) {
+                await out.write(writeCARBlock(block));
+            }
+
+            const header = writeCARHeader([rootCid]);
+            await out.write(header, 0, header.length, 0);
+            rootCids = [cidToString(rootCid)];
         }
+    } catch (error) {
+        // Don't leave incomplete CAR file behind
+        await out.close();
+        await fs.rm(outPath, { force: true });
+        throw error;
     }
+    await out.close();
 
-    return files;
+    log(`\nCAR file written to: ${outPath}`);
+    for (let rootCid of rootCids) {
+        log(`Root CID: ${rootCid}`);
+    }
+
+    return { rootCid: rootCids[0], rootCids };
 }
 
-function isExpectedNearError(error) {
-    // Ignore MethodNotFound error as it happens during success case
-    if (error.type === 'ActionError' && 
-        error.kind?.kind?.FunctionCallError?.MethodResolveError === 'MethodNotFound') {
-        return true;
+// Names come from the DAG, so make sure they can't write outside of output directory
+function checkEntryName(name) {
+    if (!name || name === '.' || name === '..' || /[/\\\0]/.test(name)) {
+        throw new Error(`Unsafe path in DAG: ${JSON.stringify(name)}`);
     }
-    
-    // Ignore CodeDoesNotExist error as it happens when account has no contract deployed
-    if (error.type === 'ActionError' && 
-        error.kind?.kind?.FunctionCallError?.CompilationError?.CodeDoesNotExist) {
-        return true;
+    return name;
+}
+
+// Returns { name, cid } for every entry of HAMT sharded directory, fetching nested shards.
+// Link names start with hex index in the shard, links with just the index point to nested shards.
+async function hamtEntries(node, fetchOptions) {
+    const { fanout } = readUnixFSNode(node.data);
+    const prefixLength = (fanout - 1).toString(16).length;
+    const entries = [];
+    const subShardLinks = [];
+    for (const { name, cid } of node.links) {
+        if (name.length === prefixLength) {
+            subShardLinks.push(cid);
+        } else {
+            entries.push({ name: name.slice(prefixLength), cid });
+        }
     }
-    
-    // Handle message-based error patterns
-    if (error.message && (
-        error.message.includes('Cannot find contract code for account') ||
-        error.message.includes('Contract method is not found')
-    )) {
-        return true;
+    for await (const { data } of fetchBlocks(subShardLinks, fetchOptions)) {
+        entries.push(...await hamtEntries(readPBNode(data), fetchOptions));
     }
-    
-    return false;
+    return entries;
 }
 
-export async function executeUpload(filePath, nearConnection, options = {}) {
-    const { account, accountId } = nearConnection;
-    const { network, gatewayUrl: customGatewayUrl, transactions } = options;
-    
-    // Determine gateway URL first - custom gateway overrides network
-    let gatewayUrl;
-    if (customGatewayUrl) {
-        gatewayUrl = customGatewayUrl;
-    } else if (network === 'mainnet') {
-        gatewayUrl = 'https://ipfs.web4.near.page';
-    } else if (network === 'testnet') {
-        gatewayUrl = 'https://ipfs.web4.testnet.page';
+async function writeDAGEntry(block, outPath, fetchOptions) {
+    const isRaw = readCID(block.cid).codec === CODEC_RAW;
+    const node = isRaw ? null : readPBNode(block.data);
+    const { type, fileSize, mode, mtime, data } = isRaw ? { type: UNIXFS_RAW } : readUnixFSNode(node.data || Buffer.alloc(0));
+
+    if (type === UNIXFS_RAW || type === UNIXFS_FILE) {
+        const out = await fs.open(outPath, 'wx');
+        let bytesWritten = 0;
+        try {
+            for await (const chunk of readFileChunks(block, fetchOptions)) {
+                await out.write(chunk);
+                bytesWritten += chunk.length;
+            }
+        } finally {
+            await out.close();
+        }
+        if (fileSize !== undefined && bytesWritten !== fileSize) {
+            throw new Error(`File ${outPath} has ${bytesWritten} bytes instead of ${fileSize}`);
+        }
+    } else if (type === UNIXFS_DIRECTORY || type === UNIXFS_HAMT_SHARD) {
+        await fs.mkdir(outPath);
+        const entries = type === UNIXFS_HAMT_SHARD ? await hamtEntries(node, fetchOptions) : node.links;
+        let i = 0;
+        for await (const child of fetchBlocks(entries.map(({ cid }) => cid), fetchOptions)) {
+            await writeDAGEntry(child, path.join(outPath, checkEntryName(entries[i++].name)), fetchOptions);
+        }
+    } else if (type === UNIXFS_SYMLINK) {
+        await fs.symlink(data.toString('utf8'), outPath);
     } else {
-        throw new Error('Network must be either "mainnet" or "testnet", or provide a custom gateway URL with --gateway-url');
+        throw new Error(`Unsupported UnixFS type ${type} of block ${cidToV1String(block.cid)}`);
     }
-    
-    // Create signAndSendTransaction with error handling
-    const signAndSendTransaction = async (blockDataArray) => {
+
+    // Metadata is applied last, as writing directory contents changes its mtime
+    if (mode !== undefined && type !== UNIXFS_SYMLINK) {
+        await fs.chmod(outPath, mode);
+    }
+    if (mtime !== undefined) {
+        const time = mtime.secs + (mtime.nsecs || 0) / 1e9;
+        await fs.lutimes(outPath, time, time);
+    }
+}
+
+// Downloads DAG from the gateway, verifying every block. Writes CAR file when outPath ends with .car,
+// otherwise files and directories are recreated at outPath.
+export async function getCID(cid, outPath, options = {}) {
+    const { network, gatewayUrl: customGatewayUrl, log = console.log } = options;
+    const gatewayUrl = networkGatewayUrl(network, customGatewayUrl);
+    const rootCid = parseCID(cid);
+    const cid32 = cidToV1String(rootCid);
+    outPath = outPath || cid32;
+    const fetchOptions = { ...options, gatewayUrl, log };
+
+    try {
+        await fs.lstat(outPath);
+        throw new Error(`Output path already exists: ${outPath}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+
+    log(`Fetching ${cid32} from ${gatewayUrl}`);
+    let blocks = 0;
+    if (path.extname(outPath).toLowerCase() === '.car') {
+        const out = await fs.open(outPath, 'wx');
         try {
-            return await account.signAndSendTransaction({
-                receiverId: accountId,
-                actions: blockDataArray.map(data => 
-                    transactions.functionCall('fs_store', data, '30000000000000', '0')
-                ),
-            });
-        } catch (error) {
-            if (isExpectedNearError(error)) {
-                return;
+            await out.write(writeCARHeader([rootCid]));
+            for await (const block of fetchDAG(rootCid, fetchOptions)) {
+                await out.write(writeCARBlock(block));
+                blocks++;
             }
-            console.error('Error signing and sending transaction:', error);
+        } catch (error) {
+            // Don't leave incomplete CAR file behind
+            await out.close();
+            await fs.rm(outPath, { force: true });
             throw error;
         }
-    };
+        await out.close();
+        log(`CAR file with ${blocks} blocks written to: ${outPath}`);
+    } else {
+        await writeDAGEntry(await fetchBlock(rootCid, fetchOptions), outPath, fetchOptions);
+        log(`Saved to: ${outPath}`);
+    }
 
-    const uploadOptions = {
-        signAndSendTransaction,
-        log: console.log,
-        statusCallback: ({ currentBlocks, totalBlocks }) => {
-            console.log(`Progress: ${currentBlocks}/${totalBlocks} blocks uploaded`);
-        },
-        gatewayUrl,
-        timeout: 2500,
-        retryCount: 3
-    };
+    return { rootCid: cid32, outPath, gatewayUrl };
+}
 
-    let rootCid;
-    const isCarFile = path.extname(filePath).toLowerCase() === '.car';
+// Exit codes of the CLI, so that scripts can tell what went wrong without parsing messages
+export const EXIT_CODES = {
+    error: 1,
+    credentials: 2,
+    network: 3,
+    partialUpload: 4,
+};
 
-    if (isCarFile) {
-        const carBuffer = await fs.readFile(filePath);
-        rootCid = await uploadCAR(carBuffer, uploadOptions);
-    } else {
-        const stats = await fs.stat(filePath);
-        const files = stats.isDirectory() 
-            ? await readFilesRecursively(filePath)
-            : [{
-                name: path.basename(filePath),
-                content: await fs.readFile(filePath)
-              }];
+const CREDENTIALS_ERROR_CODES = ['MISSING_CREDENTIALS', 'INVALID_PRIVATE_KEY', 'INVALID_PASSPHRASE'];
+const CREDENTIALS_NEAR_ERROR_TYPES = ['AccessKeyNotFound', 'InvalidAccessKeyError', 'AccountDoesNotExist', 'SignerDoesNotExist'];
+const NETWORK_ERROR_CODES = ['ENOTFOUND', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
 
-        rootCid = await uploadFiles(files, uploadOptions);
+export function errorExitCode(error) {
+    if (error.code === 'PARTIAL_UPLOAD') {
+        return EXIT_CODES.partialUpload;
     }
-
-    console.log('\nUpload complete!');
-    const isCustomGateway = !!customGatewayUrl;
-    console.log(`Access your files at: ${gatewayUrl}/ipfs/${rootCid}`);
-    if (!isCustomGateway) {
-        const gatewayDomain = gatewayUrl.replace('https://', '');
-        console.log(`Or via subdomain: https://${rootCid}.${gatewayDomain}`);
+    // Errors are wrapped on the way up, the original one is at the end of cause chain
+    for (let e = error; e; e = e.cause) {
+        if (CREDENTIALS_ERROR_CODES.includes(e.code) || CREDENTIALS_NEAR_ERROR_TYPES.includes(e.type)) {
+            return EXIT_CODES.credentials;
+        }
+        if (NETWORK_ERROR_CODES.includes(e.code) || e.name === 'TimeoutError' || isRetryableNearError(e)) {
+            return EXIT_CODES.network;
+        }
     }
-
-    return { rootCid, gatewayUrl };
+    return EXIT_CODES.error;
 }
 
 export {
-    isAlreadyUploaded,
-    blocksToUpload,
-    splitOnBatches,
-    uploadBlocks,
-    isExpectedNearError,
+    readFilesRecursively,
+    fileFilter,
+    fetchDAG,
+    fetchBlock,
+    verifyDAG,
+    readDAGFiles,
 };
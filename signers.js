@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import { ignoreExpectedNearError } from './upload.js';
+
+// Signer is any object with accountId and async signAndSendTransaction({ receiverId, actions }), same as near-api-js Account.
+// Actions are made with transactions.functionCall, passed in the same way as to executeUpload.
+
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const KEYSTORE_CIPHER = 'aes-256-gcm';
+
+const deriveKey = (passphrase, salt, { N, r, p }) => scrypt(passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r });
+
+// Stores private key encrypted with key derived from passphrase, refuses to overwrite existing file.
+// Public key is kept in plain text to tell keystores apart.
+export async function createKeystore(keystorePath, { accountId, publicKey, privateKey, passphrase }) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(KEYSTORE_CIPHER, await deriveKey(passphrase, salt, SCRYPT_PARAMS), iv);
+    const ciphertext = Buffer.concat([cipher.update(privateKey, 'utf8'), cipher.final()]);
+
+    const keystore = {
+        version: 1,
+        account_id: accountId,
+        public_key: publicKey,
+        kdf: 'scrypt',
+        kdfparams: { ...SCRYPT_PARAMS, salt: salt.toString('base64') },
+        cipher: KEYSTORE_CIPHER,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        ciphertext: ciphertext.toString('base64'),
+    };
+    await fs.mkdir(path.dirname(keystorePath), { recursive: true });
+    await fs.writeFile(keystorePath, JSON.stringify(keystore, null, 2) + '\n', { mode: 0o600, flag: 'wx' });
+    return { accountId, publicKey };
+}
+
+export async function readKeystore(keystorePath, passphrase) {
+    const keystore = JSON.parse(await fs.readFile(keystorePath, 'utf8'));
+    if (keystore.version !== 1 || keystore.kdf !== 'scrypt' || keystore.cipher !== KEYSTORE_CIPHER) {
+        throw new Error(`Unsupported keystore format in ${keystorePath}`);
+    }
+
+    const { salt, ...kdfparams } = keystore.kdfparams;
+    const key = await deriveKey(passphrase, Buffer.from(salt, 'base64'), kdfparams);
+    const decipher = crypto.createDecipheriv(KEYSTORE_CIPHER, key, Buffer.from(keystore.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(keystore.tag, 'base64'));
+    let privateKey;
+    try {
+        privateKey = Buffer.concat([decipher.update(Buffer.from(keystore.ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+        // GCM tag doesn't match when passphrase is wrong or file was changed
+        const passphraseError = new Error(`Wrong passphrase for keystore ${keystorePath}`, { cause: error });
+        passphraseError.code = 'INVALID_PASSPHRASE';
+        throw passphraseError;
+    }
+    return { accountId: keystore.account_id, privateKey };
+}
+
+// Same JSON form as actions of multisig contract requests
+function actionToJSON(action) {
+    if (!action.functionCall) {
+        throw new Error(`Only function call actions can be exported, got ${action.enum}`);
+    }
+    const { methodName, args, gas, deposit } = action.functionCall;
+    return {
+        type: 'FunctionCall',
+        method_name: methodName,
+        args: Buffer.from(args).toString('base64'),
+        gas: gas.toString(),
+        deposit: deposit.toString(),
+    };
+}
+
+function actionFromJSON({ type, method_name, args, gas, deposit }, transactions) {
+    if (type !== 'FunctionCall') {
+        throw new Error(`Unsupported action type: ${type}`);
+    }
+    return transactions.functionCall(method_name, Buffer.from(args, 'base64'), BigInt(gas), BigInt(deposit));
+}
+
+// Writes transactions as JSON lines { signer_id, receiver_id, actions } instead of sending them,
+// so that they can be signed elsewhere (e.g. by multisig) and sent with broadcastTransactions.
+// File is started from scratch unless append is set.
+export function unsignedTransactionsSigner(outPath, { accountId, append = false }) {
+    let writeQueue = append ? Promise.resolve() : fs.rm(outPath, { force: true });
+    return {
+        accountId,
+        // Nothing is on chain until transactions are broadcast
+        deferred: true,
+        outPath,
+        async signAndSendTransaction({ receiverId, actions }) {
+            const line = JSON.stringify({ signer_id: accountId, receiver_id: receiverId, actions: actions.map(actionToJSON) });
+            writeQueue = writeQueue.then(async () => {
+                await fs.mkdir(path.dirname(outPath), { recursive: true });
+                await fs.appendFile(outPath, line + '\n');
+            });
+            await writeQueue;
+            return {};
+        },
+    };
+}
+
+// Sends transactions written by unsignedTransactionsSigner in order. Ones with signed_transaction
+// (base64 encoded borsh SignedTransaction) are sent with provider as is, the rest are signed with signer.
+export async function broadcastTransactions(inPath, { signer, provider, transactions, log = console.log } = {}) {
+    const entries = (await fs.readFile(inPath, 'utf8')).split('\n').filter(Boolean).map((line, i) => {
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Invalid transaction at ${inPath}:${i + 1}`, { cause: error });
+        }
+    });
+
+    const transactionHashes = [];
+    for (const [i, entry] of entries.entries()) {
+        let send;
+        if (entry.signed_transaction) {
+            if (!provider) {
+                throw new Error(`Transaction ${i + 1} is signed, but there is no RPC provider to send it`);
+            }
+            send = () => provider.sendTransaction(transactions.SignedTransaction.decode(Buffer.from(entry.signed_transaction, 'base64')));
+        } else {
+            if (!signer) {
+                const error = new Error(`Transaction ${i + 1} is not signed, provide credentials of ${entry.signer_id} to sign it`);
+                error.code = 'MISSING_CREDENTIALS';
+                throw error;
+            }
+            if (signer.accountId !== entry.signer_id) {
+                throw new Error(`Transaction ${i + 1} has to be signed by ${entry.signer_id}, not ${signer.accountId}`);
+            }
+            send = () => signer.signAndSendTransaction({ receiverId: entry.receiver_id, actions: entry.actions.map(action => actionFromJSON(action, transactions)) });
+        }
+        const outcome = await ignoreExpectedNearError(send);
+
+        const transactionHash = outcome?.transaction_outcome?.id;
+        if (transactionHash) {
+            transactionHashes.push(transactionHash);
+        }
+        log(`Sent ${i + 1} / ${entries.length} transactions`);
+    }
+    return { transactions: entries.length, transactionHashes };
+}
@@ -1,15 +1,21 @@
 import assert from 'assert';
-import { uploadFiles, uploadBlocks, splitOnBatches, isAlreadyUploaded, uploadCAR, executeUpload, isExpectedNearError } from './index.js';
-import { packCID } from 'fast-ipfs';
+import { uploadFiles, uploadBlocks, splitOnBatches, fsStoreGas, NETWORK_LIMITS, isAlreadyUploaded, uploadCAR, executeUpload, isExpectedNearError, isRetryableNearError, generateFileBlocks, generateBlocks, readFilesRecursively, buildCAR, fileCheckpoint, gatewayExistenceCheck, cachedExistenceCheck, indexerExistenceCheck, fileCIDCache, cidCachePath, fileFilter, getCID, fetchDAG, errorExitCode, EXIT_CODES, deployWeb4, web4Url, rollbackWeb4, listDeployments, fileDeploymentLog, readDAGFiles, createKeystore, readKeystore, unsignedTransactionsSigner, broadcastTransactions } from './index.js';
+import { readCARFile } from './car.js';
+import { readBrowserFiles, web4Signer, web4LoginUrl, walletSelectorSigner } from './browser.js';
+import { packCID, cidToString, readPBNode, readUnixFSData, readCID, stringToCid, CODEC_RAW, CODEC_DAG_PB } from 'fast-ipfs';
 import { jest } from '@jest/globals';
+import sha256 from 'js-sha256';
 import fs from 'fs/promises';
 import path from 'path';
+import os from 'os';
+import { Blob } from 'buffer';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const HELLO_CAR_FILE = path.join(__dirname, 'test/data', 'hello.car');
+const MULTI_ROOT_V2_CAR_FILE = path.join(__dirname, 'test/data', 'multi-root-v2.car');
 
 // Helper function to run CLI commands and capture output
 async function runCLI(args, options = {}) {
@@ -55,7 +61,70 @@ async function runCLI(args, options = {}) {
   });
 }
 
+// Raw blocks numbered from 1 with made up CIDs, hash of n-th block is filled with n
+const fakeBlocks = (count, dataOf = (i) => Buffer.from(`Block ${i}`)) => Array.from({ length: count }, (_, index) => ({
+  data: dataOf(index + 1),
+  cid: packCID({ hash: Buffer.alloc(32, index + 1), version: 1, codec: CODEC_RAW }),
+}));
+
+const hashOf = (data) => Buffer.from(sha256.arrayBuffer(data)).toString('hex');
+
+// Temporary directory with files in site/ subdirectory, so that checkpoint written next to it isn't uploaded
+async function tempSite(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nearfs-upload-'));
+  for (const [name, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(dir, 'site', name)), { recursive: true });
+    await fs.writeFile(path.join(dir, 'site', name), content);
+  }
+  return dir;
+}
+
+// In-memory gateway serving blocks by hash, blocks in dropped set are lost when stored
+function mockGateway() {
+  const gateway = { stored: new Map(), dropped: new Set(), requests: [] };
+  gateway.store = (data) => {
+    if (!gateway.dropped.has(hashOf(data))) {
+      gateway.stored.set(hashOf(data), data);
+    }
+  };
+  global.fetch = async (url, { method = 'GET' } = {}) => {
+    const cid = url.match(/\/ipfs\/(\w+)/)[1];
+    const { hash, codec } = readCID(Buffer.from(stringToCid(cid)));
+    gateway.requests.push({ method, codec, cid });
+    const data = gateway.stored.get(hash.toString('hex'));
+    if (!data) {
+      return { status: 404 };
+    }
+    return method === 'HEAD' ? { status: 200 } : { status: 200, arrayBuffer: async () => data };
+  };
+  return gateway;
+}
+
+// fs_store args are block data, see fakeAccount
+const fakeTransactions = { functionCall: (methodName, args) => methodName === 'fs_store' ? args : { methodName, args } };
+
+// Account which stores blocks sent with fs_store to itself on the gateway, calls to other contracts go to onCall
+const fakeAccount = (gateway, { accountId = 'test.near', onCall = async () => ({}) } = {}) => ({
+  accountId,
+  signAndSendTransaction: async ({ receiverId, actions }) => {
+    if (receiverId !== accountId) {
+      return onCall({ receiverId, actions });
+    }
+    actions.forEach(gateway.store);
+    return {};
+  }
+});
+
 describe('NEARFS Uploader', () => {
+  // Keep CID cache of executeUpload and CLI away from real home directory
+  beforeEach(async () => {
+    process.env.XDG_CACHE_HOME = await fs.mkdtemp(path.join(os.tmpdir(), 'nearfs-cache-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(process.env.XDG_CACHE_HOME, { recursive: true, force: true });
+  });
+
   describe('splitOnBatches', () => {
     it('should split blocks into batches', () => {
       const blocks = [
@@ -67,6 +136,43 @@ describe('NEARFS Uploader', () => {
       assert.strictEqual(batches.length, 1);
       assert.strictEqual(batches[0].length, 3);
     });
+
+    it('should fill transactions up to the size limit', () => {
+      const blocks = Array.from({ length: 13 }, () => ({ data: Buffer.alloc(256 * 1024) }));
+      const batches = splitOnBatches(blocks);
+
+      // 1.5 MiB transaction has room for 5 full chunks with action overhead
+      expect(batches.map(batch => batch.length)).toEqual([5, 5, 3]);
+      assert(batches.flat().every((data, i) => data === blocks[i].data));
+    });
+
+    it('should fill transactions up to the gas limit', () => {
+      const blocks = Array.from({ length: 60 }, () => ({ data: Buffer.alloc(100) }));
+
+      // 10 TGas base gas per block, so 29 blocks fit into 300 TGas with per byte gas
+      expect(splitOnBatches(blocks).map(batch => batch.length)).toEqual([29, 29, 2]);
+      expect(splitOnBatches(blocks, { maxActions: 10 }).map(batch => batch.length)).toEqual([10, 10, 10, 10, 10, 10]);
+      expect(splitOnBatches(blocks, { fsStoreBaseGas: 1000000000000 }).map(batch => batch.length)).toEqual([60]);
+    });
+
+    it('should keep gas and fees of transaction under block gas limit', () => {
+      const blocks = Array.from({ length: 4 }, () => ({ data: Buffer.alloc(100) }));
+      const limits = { maxBlockGas: NETWORK_LIMITS.mainnet.fsStoreBaseGas * 3 };
+
+      expect(splitOnBatches(blocks, limits).map(batch => batch.length)).toEqual([2, 2]);
+    });
+
+    it('should start new transaction for block which doesn\'t fit into current one', () => {
+      const sizes = [1024 * 1024, 100, 600 * 1024, 100];
+      const batches = splitOnBatches(sizes.map(size => ({ data: Buffer.alloc(size) })));
+
+      expect(batches.map(batch => batch.map(data => data.length))).toEqual([[1024 * 1024, 100], [600 * 1024, 100]]);
+    });
+
+    it('should fail on block which can\'t fit into any transaction', () => {
+      expect(() => splitOnBatches([{ data: Buffer.alloc(2 * 1024 * 1024) }]))
+        .toThrow('Block of 2097152 bytes doesn\'t fit into a single transaction');
+    });
   });
 
   describe('isAlreadyUploaded', () => {
@@ -130,6 +236,545 @@ describe('NEARFS Uploader', () => {
     });
   });
 
+  describe('uploadFiles streaming', () => {
+    it('should accept async iterable of files with streamed content', async () => {
+      global.fetch = () => Promise.resolve({ status: 404 });
+      const upload = (files) => uploadFiles(files, { signAndSendTransaction: async () => {}, log: () => {} });
+
+      const arrayRootCid = await upload([
+        { name: 'file1.txt', content: Buffer.from('Hello, world!') },
+        { name: 'folder/file2.txt', content: Buffer.from('Nested file') },
+      ]);
+
+      async function* streamOf(text) {
+        yield Buffer.from(text.slice(0, 3));
+        yield new TextEncoder().encode(text.slice(3));
+      }
+      async function* files() {
+        yield { name: 'file1.txt', content: streamOf('Hello, world!') };
+        yield { name: 'folder/file2.txt', content: streamOf('Nested file') };
+      }
+      const streamRootCid = await upload(files());
+
+      assert.strictEqual(streamRootCid, arrayRootCid);
+    });
+
+    it('should read nested directories with paths relative to root', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nearfs-upload-'));
+      await fs.mkdir(path.join(dir, 'a', 'b'), { recursive: true });
+      await fs.writeFile(path.join(dir, 'a', 'b', 'c.txt'), 'nested');
+      await fs.writeFile(path.join(dir, 'top.txt'), 'top');
+
+      const names = [];
+      for await (const { name, content } of readFilesRecursively(dir)) {
+        names.push(name);
+        content.destroy();
+      }
+      await fs.rm(dir, { recursive: true });
+
+      assert.deepStrictEqual(names.sort(), ['a/b/c.txt', 'top.txt']);
+    });
+
+    it('should upload blocks in bounded windows', async () => {
+      global.fetch = () => Promise.resolve({ status: 404 });
+      const batchSizes = [];
+      const blocks = fakeBlocks(3);
+      const mockStatusCallback = jest.fn();
+
+      await uploadBlocks(blocks, {
+        signAndSendTransaction: async (batch) => batchSizes.push(batch.length),
+        log: () => {},
+        statusCallback: mockStatusCallback,
+        maxWindowBlocks: 2,
+      });
+
+      assert.deepStrictEqual(batchSizes, [2, 1]);
+      expect(mockStatusCallback).toHaveBeenLastCalledWith({ currentBlocks: 3, totalBlocks: 3 });
+    });
+  });
+
+  describe('File filters', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nearfs-upload-'));
+      const files = {
+        '.git/HEAD': 'ref',
+        '.DS_Store': '',
+        '.gitignore': 'node_modules/\n',
+        '.nearfsignore': '# sources\nsrc\n*.log\n!keep.log\n',
+        'src/a.js': 'a',
+        'dist/app.js': 'app',
+        'dist/app.js.map': 'map',
+        'dist/.nearfsignore': '*.css\n',
+        'dist/style.css': 'css',
+        'debug.log': 'log',
+        'keep.log': 'log',
+        'node_modules/x/index.js': 'x',
+      };
+      for (const [name, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+        await fs.writeFile(path.join(dir, name), content);
+      }
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true });
+    });
+
+    const readNames = async (options) => {
+      const names = [];
+      for await (const { name, content } of readFilesRecursively(dir, { filter: fileFilter(options) })) {
+        names.push(name);
+        content.destroy();
+      }
+      return names;
+    };
+
+    it('should skip hidden files and apply .nearfsignore files', async () => {
+      assert.deepStrictEqual(await readNames(), ['dist/app.js', 'dist/app.js.map', 'keep.log', 'node_modules/x/index.js']);
+    });
+
+    it('should apply .gitignore files when enabled', async () => {
+      assert.deepStrictEqual(await readNames({ gitignore: true }), ['dist/app.js', 'dist/app.js.map', 'keep.log']);
+    });
+
+    it('should include hidden files when enabled', async () => {
+      assert.deepStrictEqual(await readNames({ hidden: true, gitignore: true }),
+        ['.DS_Store', '.git/HEAD', '.gitignore', 'dist/app.js', 'dist/app.js.map', 'keep.log']);
+    });
+
+    it('should apply include and exclude patterns', async () => {
+      assert.deepStrictEqual(await readNames({ exclude: ['*.map', 'node_modules'] }), ['dist/app.js', 'keep.log']);
+      assert.deepStrictEqual(await readNames({ include: ['dist/**'] }), ['dist/app.js', 'dist/app.js.map']);
+    });
+
+    it('should match gitignore pattern syntax', () => {
+      const isExcluded = (pattern, name, isDirectory = false) => fileFilter({ exclude: [pattern] }).isIgnored(name, isDirectory);
+
+      expect(isExcluded('*.txt', 'a/b/c.txt')).toBe(true);
+      expect(isExcluded('/c.txt', 'a/c.txt')).toBe(false);
+      expect(isExcluded('/c.txt', 'c.txt')).toBe(true);
+      expect(isExcluded('doc/*.txt', 'doc/a.txt')).toBe(true);
+      expect(isExcluded('doc/*.txt', 'doc/sub/a.txt')).toBe(false);
+      expect(isExcluded('doc/**/*.txt', 'doc/sub/a.txt')).toBe(true);
+      expect(isExcluded('**/build', 'a/b/build', true)).toBe(true);
+      expect(isExcluded('build/', 'build')).toBe(false);
+      expect(isExcluded('build/', 'build', true)).toBe(true);
+      expect(isExcluded('file?.[ch]', 'file1.c')).toBe(true);
+      expect(isExcluded('file[!0-9].c', 'file1.c')).toBe(false);
+      expect(isExcluded('\\#notes', '#notes')).toBe(true);
+    });
+  });
+
+  describe('Symlinks and empty directories', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nearfs-upload-'));
+      await fs.writeFile(path.join(dir, 'run.sh'), '#!/bin/sh\necho hi\n');
+      await fs.symlink('run.sh', path.join(dir, 'link'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true });
+    });
+
+    const readEntries = async (options) => {
+      const entries = [];
+      for await (const { content, ...entry } of readFilesRecursively(dir, options)) {
+        entries.push(entry);
+        content?.destroy();
+      }
+      return entries;
+    };
+
+    const rootCidOf = async (options) => {
+      const dirBlocks = generateBlocks(readFilesRecursively(dir, options), { log: () => {} });
+      let result;
+      while (!(result = await dirBlocks.next()).done);
+      return cidToString(result.value);
+    };
+
+    it('should follow symlinks by default', async () => {
+      assert.deepStrictEqual(await readEntries(), [{ name: 'link' }, { name: 'run.sh' }]);
+    });
+
+    it('should skip symlinks', async () => {
+      assert.deepStrictEqual(await readEntries({ symlinks: 'skip' }), [{ name: 'run.sh' }]);
+    });
+
+    // Same as kubo, which unlike js-ipfs doesn't set filesize on symlink nodes
+    it('should store symlinks as UnixFS symlink nodes', async () => {
+      assert.deepStrictEqual(await readEntries({ symlinks: 'store' }), [{ name: 'link', type: 'symlink', target: 'run.sh' }, { name: 'run.sh' }]);
+      assert.strictEqual(await rootCidOf({ symlinks: 'store' }), 'bafybeicif52627yr3ywgh7sqzlg72utgvfwhvcgqtprx2f4u477azai5pa');
+    });
+
+    it('should reject unknown symlinks policy', async () => {
+      await expect(readEntries({ symlinks: 'copy' })).rejects.toThrow('Unsupported symlinks policy: copy');
+    });
+
+    it('should reject broken symlinks and symlink loops when following', async () => {
+      await fs.symlink('missing.txt', path.join(dir, 'broken'));
+      await expect(readEntries()).rejects.toThrow('Broken symlink: broken');
+      await fs.rm(path.join(dir, 'broken'));
+
+      await fs.mkdir(path.join(dir, 'sub'));
+      await fs.symlink('..', path.join(dir, 'sub', 'parent'));
+      await expect(readEntries()).rejects.toThrow('Symlink loop: sub/parent');
+    });
+
+    it('should keep empty directories', async () => {
+      await fs.mkdir(path.join(dir, 'empty'));
+      assert.strictEqual(await rootCidOf({ symlinks: 'skip' }), 'bafybeiaqo2vwezt55fs5f3hstygvm34ryy3tnq6jeqqov33gumlfhutwze');
+    });
+
+    it('should keep directories with only skipped entries as empty ones', async () => {
+      await fs.mkdir(path.join(dir, 'empty'));
+      await fs.mkdir(path.join(dir, 'uploads'));
+      await fs.writeFile(path.join(dir, 'uploads', '.gitkeep'), '');
+      await fs.mkdir(path.join(dir, 'links'));
+      await fs.symlink('../run.sh', path.join(dir, 'links', 'run'));
+
+      assert.deepStrictEqual(await readEntries({ symlinks: 'skip', filter: fileFilter() }), [
+        { name: 'empty', type: 'directory' },
+        { name: 'links', type: 'directory' },
+        { name: 'run.sh' },
+        { name: 'uploads', type: 'directory' },
+      ]);
+    });
+
+    it('should read modes and modification times with metadata option', async () => {
+      await fs.chmod(path.join(dir, 'run.sh'), 0o755);
+      await fs.utimes(path.join(dir, 'run.sh'), 1700000000, 1700000000);
+      await fs.chmod(dir, 0o750);
+
+      const entries = await readEntries({ symlinks: 'skip', metadata: true });
+      assert.deepStrictEqual(entries.map(({ name, mode }) => ({ name, mode })), [{ name: 'run.sh', mode: 0o755 }, { name: '', mode: 0o750 }]);
+      assert.strictEqual(entries[1].type, 'directory');
+      assert.deepStrictEqual(entries[0].mtime, { secs: 1700000000, nsecs: 0 });
+    });
+
+    it('should leave out directories without included files with metadata option', async () => {
+      await fs.mkdir(path.join(dir, 'assets'));
+      await fs.writeFile(path.join(dir, 'assets', 'app.js'), 'app');
+      await fs.mkdir(path.join(dir, 'empty'));
+      await fs.mkdir(path.join(dir, 'pages'));
+      await fs.writeFile(path.join(dir, 'pages', 'index.html'), '<h1>Hi</h1>');
+
+      const entries = await readEntries({ symlinks: 'skip', metadata: true, filter: fileFilter({ include: ['*.html'] }) });
+
+      assert.deepStrictEqual(entries.map(({ name, type }) => ({ name, type })), [
+        { name: 'empty', type: 'directory' },
+        { name: 'pages/index.html', type: undefined },
+        { name: 'pages', type: 'directory' },
+        { name: '', type: 'directory' },
+      ]);
+      expect(entries.every(({ mode, mtime }) => mode !== undefined && mtime !== undefined)).toBe(true);
+    });
+  });
+
+  describe('Browser', () => {
+    const rootCidOf = async (files) => {
+      const dirBlocks = generateBlocks(files, { log: () => {} });
+      let result;
+      while (!(result = await dirBlocks.next()).done);
+      return cidToString(result.value);
+    };
+
+    // File is Blob with name, which isn't available in older Node.js versions
+    const fileEntry = (fullPath, text) => ({
+      isFile: true,
+      fullPath,
+      file: (resolve) => resolve(Object.assign(new Blob([text]), { name: path.posix.basename(fullPath) })),
+    });
+    const dirEntry = (fullPath, children) => ({
+      isDirectory: true,
+      fullPath,
+      createReader: () => {
+        // Return entries in chunks like browsers do
+        const chunks = children.length > 0 ? [children.slice(0, 1), children.slice(1)] : [];
+        return { readEntries: (resolve) => resolve(chunks.shift() || []) };
+      },
+    });
+
+    const readText = async (content) => {
+      const chunks = [];
+      for await (const chunk of content) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks).toString();
+    };
+
+    // Walks relative imports from browser.js, returns module file names and package imports
+    const browserImports = async () => {
+      const visited = new Set();
+      const imports = [];
+      const visit = async (fileName) => {
+        visited.add(fileName);
+        const source = await fs.readFile(path.join(__dirname, fileName), 'utf8');
+        for (const [, specifier] of source.matchAll(/^(?:import|export) [^;]*?from '([^']+)'/gms)) {
+          if (specifier.startsWith('./')) {
+            if (!visited.has(specifier.slice(2))) {
+              await visit(specifier.slice(2));
+            }
+          } else {
+            imports.push(specifier);
+          }
+        }
+      };
+      await visit('browser.js');
+      return { modules: [...visited], imports };
+    };
+
+    it('should not import Node.js built-ins', async () => {
+      const { imports } = await browserImports();
+
+      assert.deepStrictEqual([...new Set(imports)].sort(), ['fast-ipfs', 'js-sha256']);
+    });
+
+    it('should include every browser module in web uploader deploy command', async () => {
+      const { modules } = await browserImports();
+      const readme = await fs.readFile(path.join(__dirname, 'README.md'), 'utf8');
+      const command = readme.split('\n').find(line => line.includes("--include 'web/**'"));
+
+      for (const fileName of modules) {
+        expect(command).toContain(`--include ${fileName} `);
+      }
+    });
+
+    it('should read files with relative paths from file input', async () => {
+      const files = ['a.txt', 'sub/b.txt'].map(name =>
+        Object.assign(new Blob([`content of ${name}`]), { name: path.posix.basename(name), webkitRelativePath: `site/${name}` }));
+      const expectedCid = await rootCidOf(['a.txt', 'sub/b.txt'].map(name => ({ name: `site/${name}`, content: Buffer.from(`content of ${name}`) })));
+
+      assert.strictEqual(await rootCidOf(readBrowserFiles(files)), expectedCid);
+    });
+
+    it('should read dropped directories recursively', async () => {
+      const dataTransfer = {
+        items: [
+          { webkitGetAsEntry: () => dirEntry('/site', [fileEntry('/site/index.html', 'hi'), dirEntry('/site/empty', []), dirEntry('/site/js', [fileEntry('/site/js/app.js', 'app')])]) },
+          { webkitGetAsEntry: () => fileEntry('/readme.txt', 'readme') },
+          { webkitGetAsEntry: () => null, getAsFile: () => null },
+        ]
+      };
+
+      const entries = [];
+      for await (const { content, ...entry } of readBrowserFiles(dataTransfer)) {
+        entries.push({ ...entry, text: content && await readText(content) });
+      }
+      assert.deepStrictEqual(entries, [
+        { name: 'site/index.html', text: 'hi' },
+        { name: 'site/empty', type: 'directory', text: undefined },
+        { name: 'site/js/app.js', text: 'app' },
+        { name: 'readme.txt', text: 'readme' },
+      ]);
+    });
+
+    it('should send blocks through web4 contract endpoint', async () => {
+      const requests = [];
+      const signAndSendTransaction = web4Signer({
+        contractId: 'app.near',
+        web4Url: 'https://app.near.page',
+        fetch: async (url, { body }) => {
+          requests.push({ url, body: Buffer.from(body).toString() });
+          if (requests.length === 2) {
+            return { ok: false, status: 500, text: async () => 'Contract method is not found' };
+          }
+          return { ok: true, status: 200, headers: { get: () => 'application/json' }, json: async () => ({ transaction_outcome: { id: 'tx1' } }) };
+        },
+      });
+
+      const result = await signAndSendTransaction([Buffer.from('block 1'), Buffer.from('block 2')]);
+
+      assert.deepStrictEqual(result, { transaction_outcome: { id: 'tx1' } });
+      assert.deepStrictEqual(requests, [
+        { url: 'https://app.near.page/web4/contract/app.near/fs_store?web4_gas=10000140000000', body: 'block 1' },
+        { url: 'https://app.near.page/web4/contract/app.near/fs_store?web4_gas=10000140000000', body: 'block 2' },
+      ]);
+    });
+
+    it('should ask to login when web4 session is missing', async () => {
+      const signAndSendTransaction = web4Signer({ contractId: 'app.near', fetch: async () => ({ ok: false, status: 403 }) });
+
+      await expect(signAndSendTransaction([Buffer.from('block')])).rejects.toThrow('Not logged in with web4, login at /web4/login?web4_contract_id=app.near first');
+      assert.strictEqual(web4LoginUrl({ contractId: 'app.near', callbackUrl: '/upload' }), '/web4/login?web4_contract_id=app.near&web4_callback_url=%2Fupload');
+    });
+
+    it('should send blocks with wallet selector', async () => {
+      const wallet = { signAndSendTransaction: jest.fn(async () => ({ transaction_outcome: { id: 'tx1' } })) };
+      const signAndSendTransaction = walletSelectorSigner(wallet, { receiverId: 'app.near' });
+
+      assert.deepStrictEqual(await signAndSendTransaction([Buffer.from('block')]), { transaction_outcome: { id: 'tx1' } });
+      expect(wallet.signAndSendTransaction).toHaveBeenCalledWith({
+        receiverId: 'app.near',
+        actions: [{ type: 'FunctionCall', params: { methodName: 'fs_store', args: Buffer.from('block'), gas: '10000100000000', deposit: '0' } }],
+      });
+    });
+  });
+
+  describe('generateFileBlocks', () => {
+    const testContent = (size) => {
+      const content = Buffer.alloc(size);
+      for (let i = 0; i < size; i++) content[i] = (i * 7 + (i >> 10)) & 0xff;
+      return content;
+    };
+
+    const collectBlocks = async (content, options) => {
+      const blocks = [];
+      const fileBlocks = generateFileBlocks(content, options);
+      let result;
+      while (!(result = await fileBlocks.next()).done) {
+        blocks.push(result.value);
+      }
+      return { blocks, root: result.value };
+    };
+
+    async function* streamOf(content, pieceSize) {
+      for (let offset = 0; offset < content.length; offset += pieceSize) {
+        yield new Uint8Array(content.subarray(offset, offset + pieceSize));
+      }
+    }
+
+    it('should keep small files as single raw block', async () => {
+      const { blocks, root } = await collectBlocks(Buffer.from('Hello, world!'));
+      assert.strictEqual(blocks.length, 1);
+      assert.strictEqual(root.cid[1], CODEC_RAW);
+      assert.strictEqual(root.size, 13);
+    });
+
+    it('should match ipfs add --cid-version=1 --raw-leaves for large files', async () => {
+      const { blocks, root } = await collectBlocks(testContent(1000000));
+      assert.strictEqual(cidToString(root.cid), 'bafybeibeu4g5xpvecfv2s5zus6i4v4h4skeeecvmcrcxknxluuontb7n3e');
+      assert.strictEqual(blocks.length, 5);
+    });
+
+    it('should produce same CID for streamed content', async () => {
+      const { root } = await collectBlocks(streamOf(testContent(1000000), 65537));
+      assert.strictEqual(cidToString(root.cid), 'bafybeibeu4g5xpvecfv2s5zus6i4v4h4skeeecvmcrcxknxluuontb7n3e');
+    });
+
+    it('should handle empty streams', async () => {
+      const { root } = await collectBlocks(streamOf(Buffer.alloc(0), 1));
+      assert.strictEqual(cidToString(root.cid), 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku');
+    });
+
+    it('should build balanced tree with blocksizes and filesize', async () => {
+      const content = testContent(10);
+      const { blocks, root } = await collectBlocks(content, { chunkSize: 2, maxLinks: 3 });
+      assert.strictEqual(root.cid[1], CODEC_DAG_PB);
+      assert.strictEqual(root.size, blocks.reduce((a, b) => a + b.data.length, 0));
+
+      const rootNode = readPBNode(blocks.find(({ cid }) => cid.equals(root.cid)).data);
+      assert.strictEqual(rootNode.links.length, 2);
+      assert.strictEqual(readUnixFSData(rootNode.data).fileSize, 10);
+
+      const firstChild = readPBNode(blocks.find(({ cid }) => cid.equals(rootNode.links[0].cid)).data);
+      assert.strictEqual(firstChild.links.length, 3);
+      assert.strictEqual(readUnixFSData(firstChild.data).fileSize, 6);
+
+      const leaves = blocks.filter(({ cid }) => cid[1] === CODEC_RAW);
+      assert(Buffer.concat(leaves.map(({ data }) => data)).equals(content));
+    });
+  });
+
+  describe('HAMT sharding', () => {
+    const manyFiles = (count) => Array.from({ length: count }, (_, i) => ({ name: `file-${i}.txt`, content: Buffer.from(`content ${i}\n`) }));
+
+    const collectBlocks = async (files, options) => {
+      const blocks = [];
+      const dirBlocks = generateBlocks(files, { log: () => {}, ...options });
+      let result;
+      while (!(result = await dirBlocks.next()).done) {
+        blocks.push(result.value);
+      }
+      return { blocks, rootCid: result.value };
+    };
+
+    it('should keep small directories flat', async () => {
+      const { blocks, rootCid } = await collectBlocks(manyFiles(5), { shardSplitThreshold: 1000 });
+      const rootNode = readPBNode(blocks.find(({ cid }) => cid.equals(rootCid)).data);
+      assert.strictEqual(readUnixFSData(rootNode.data).type, 1);
+      assert.strictEqual(rootNode.links.length, 5);
+    });
+
+    it('should shard directories above threshold like ipfs add', async () => {
+      const { blocks, rootCid } = await collectBlocks(manyFiles(100), { shardSplitThreshold: 1000 });
+      assert.strictEqual(cidToString(rootCid), 'bafybeiamaywb4yzl6wcdyetl3g7ktmf4bkklwqrx6sng74ssui4kyoypce');
+
+      const rootNode = readPBNode(blocks.find(({ cid }) => cid.equals(rootCid)).data);
+      assert.strictEqual(readUnixFSData(rootNode.data).type, 5);
+      assert(rootNode.links.every(({ name }) => /^[0-9A-F]{2}/.test(name)));
+    });
+
+    it('should use nested shards for colliding names like ipfs add', async () => {
+      const { rootCid } = await collectBlocks(manyFiles(1000), { shardSplitThreshold: 1000 });
+      assert.strictEqual(cidToString(rootCid), 'bafybeicdl7mmqohvowncj3qo3ef4hqpr2fdp4rk7acxlhl5b35hcdbyanu');
+    });
+
+    it('should switch to sharding at 256 KiB of link names and CIDs by default', async () => {
+      // 5372 links take 262117 bytes, 5373 links take 262167 bytes
+      const { rootCid: flatCid } = await collectBlocks(manyFiles(5372));
+      assert.strictEqual(cidToString(flatCid), 'bafybeicjfmo5tg6xzmmdmv525rb2cxbemvigzdkoqqdcrdzlfackvoguem');
+
+      const { rootCid } = await collectBlocks(manyFiles(5373));
+      assert.strictEqual(cidToString(rootCid), 'bafybeiayr76jv5eajscy3p35mwy5w74szin6fxcps36qm74mrx5hvittta');
+    });
+  });
+
+  describe('Directory encoding', () => {
+    const paths = ['b/z.txt', 'a.txt', 'B/x', 'b/a/c.txt', 'é.txt', '10.txt', '9.txt', 'b/a/big.bin', 'A'];
+    const filesOf = (paths) => paths.map(name => ({
+      name,
+      content: name.endsWith('.bin') ? Buffer.alloc(600000, 7) : Buffer.from(`content of ${name}\n`)
+    }));
+
+    const rootCidOf = async (files) => {
+      const dirBlocks = generateBlocks(files, { log: () => {} });
+      let result;
+      while (!(result = await dirBlocks.next()).done);
+      return cidToString(result.value);
+    };
+
+    it('should match ipfs add regardless of file order', async () => {
+      const expectedCid = 'bafybeidmya4flf6eqbrr3nvpeautcdnbq6xxr5n2iifg72raekspyb7uxi';
+      assert.strictEqual(await rootCidOf(filesOf(paths)), expectedCid);
+      assert.strictEqual(await rootCidOf(filesOf([...paths].reverse())), expectedCid);
+    });
+
+    it('should reject duplicate paths', async () => {
+      await expect(rootCidOf(filesOf(['a/b.txt', 'c.txt', 'a/b.txt']))).rejects.toThrow('Duplicate path: a/b.txt');
+    });
+
+    it('should reject paths used both for file and directory', async () => {
+      await expect(rootCidOf(filesOf(['a', 'a/b.txt']))).rejects.toThrow('Conflicting paths: a is both a file and a directory');
+      await expect(rootCidOf(filesOf(['a/b.txt', 'a']))).rejects.toThrow('Conflicting paths: a is both a file and a directory');
+    });
+
+    it('should match ipfs add with mode and mtime metadata', async () => {
+      const files = [
+        { name: 'x/run.sh', content: Buffer.from('#!/bin/sh\necho hi\n'), mode: 0o755, mtime: { secs: 1700000000 } },
+        { name: 'x/plain.txt', content: Buffer.from('plain\n'), mode: 0o644, mtime: { secs: 1700000001, nsecs: 5 } },
+        { name: 'x/empty.txt', content: Buffer.alloc(0), mode: 0o600 },
+        { name: 'x/big.bin', content: Buffer.alloc(300000, 1), mode: 0o640 },
+        { name: 'x/nometa.txt', content: Buffer.from('nometa') },
+        { name: 'x/empty', type: 'directory', mode: 0o700, mtime: { secs: 1700000002 } },
+        { name: 'x', type: 'directory', mode: 0o755, mtime: { secs: 1700000003 } },
+      ];
+      assert.strictEqual(await rootCidOf(files), 'bafybeihwt5kkxkee4ywgf72qvphukeafhq7vxrryrskdenzktatmnhbpn4');
+    });
+
+    it('should reject directory entries over files', async () => {
+      await expect(rootCidOf([...filesOf(['a']), { name: 'a', type: 'directory' }])).rejects.toThrow('Conflicting paths: a is both a file and a directory');
+    });
+
+    it('should reject empty path segments', async () => {
+      await expect(rootCidOf(filesOf(['a//b.txt']))).rejects.toThrow('Invalid path: a//b.txt');
+      await expect(rootCidOf(filesOf(['a/']))).rejects.toThrow('Invalid path: a/');
+    });
+  });
+
   describe('uploadBlocks', () => {
     it('should upload blocks', async () => {
       let uploadedBlocks = 0;
@@ -170,7 +815,7 @@ describe('NEARFS Uploader', () => {
       const carData = await fs.readFile(HELLO_CAR_FILE);
 
       // Use the real uploadCAR function
-      await uploadCAR(carData, {
+      const roots = await uploadCAR(carData, {
         signAndSendTransaction: mockSignAndSendTransaction,
         log: mockLog,
         statusCallback: mockStatusCallback,
@@ -191,60 +836,259 @@ describe('NEARFS Uploader', () => {
       const helloWorldBuffer = Buffer.from('Hello, World\n');
       const containsHelloWorld = submittedBuffers.some(buffer => buffer.includes(helloWorldBuffer));
       assert(containsHelloWorld, 'Submitted buffers should contain "Hello, World" content');
+
+      assert.deepStrictEqual(roots, ['bafybeicit72w2sl3agal2jftpkrzwd773fjgdk4dym7pq2pbojyif72v5e']);
     });
-  });
 
-  describe('Deduplication Bug', () => {
-    it('should properly pass gatewayUrl to isAlreadyUploaded in executeUpload', async () => {
-      const mockConsoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
-      
-      // Mock fetch to track what URLs are being called
-      const fetchCalls = [];
-      const originalFetch = global.fetch;
-      global.fetch = jest.fn((url, options) => {
-        console.log('FETCH CALLED WITH:', url);
-        fetchCalls.push(url);
-        return Promise.resolve({ status: 404 }); // Simulate not found
+    it('should unwrap CARv2 and return every root', async () => {
+      global.fetch = () => Promise.resolve({ status: 404 });
+      const submittedBuffers = [];
+
+      const roots = await uploadCAR(await fs.readFile(MULTI_ROOT_V2_CAR_FILE), {
+        signAndSendTransaction: async (buffers) => submittedBuffers.push(...buffers),
+        log: () => {},
       });
 
-      // Create fake NEAR connection
-      const fakeNearConnection = {
-        account: {
-          signAndSendTransaction: jest.fn(() => Promise.resolve())
-        },
+      assert.deepStrictEqual(roots, [
+        'bafkreic2iinwkud72cuppssoz4b2g3acmbcddayjvskngwdnnlbekeoine',
+        'bafkreihsctv5l5tzi3xbipccqiouvwr6772qwxmtvn6674ap43an4gev6q',
+      ]);
+      assert.deepStrictEqual(submittedBuffers.map(buffer => buffer.toString()), ['Hello, NEARFS\n', 'Second root\n']);
+    });
+
+    it('should report every CAR root in executeUpload', async () => {
+      const mockConsoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+      global.fetch = () => Promise.resolve({ status: 404 });
+
+      const result = await executeUpload(MULTI_ROOT_V2_CAR_FILE, {
+        account: { signAndSendTransaction: jest.fn(() => Promise.resolve()) },
         accountId: 'test.near'
-      };
+      }, {
+        network: 'testnet',
+        transactions: { functionCall: jest.fn(() => 'mock-action') }
+      });
 
-      const mockTransactions = {
-        functionCall: jest.fn(() => 'mock-action')
-      };
+      expect(result.rootCid).toBe('bafkreic2iinwkud72cuppssoz4b2g3acmbcddayjvskngwdnnlbekeoine');
+      expect(result.rootCids).toHaveLength(2);
+      expect(mockConsoleLog).toHaveBeenCalledWith('Access your files at: https://ipfs.web4.testnet.page/ipfs/bafkreihsctv5l5tzi3xbipccqiouvwr6772qwxmtvn6674ap43an4gev6q');
 
-      await executeUpload(
-        'package.json',
-        fakeNearConnection,
-        { 
-          network: 'testnet',
-          transactions: mockTransactions
-        }
-      );
+      mockConsoleLog.mockRestore();
+    });
 
-      console.log('Total fetch calls:', fetchCalls.length);
-      console.log('Fetch calls:', fetchCalls);
+    it('should reject corrupt CAR file before uploading', async () => {
+      const mockSignAndSendTransaction = jest.fn();
+      global.fetch = jest.fn(() => Promise.resolve({ status: 404 }));
 
-      // Verify that fetch was called with proper gateway URL
-      expect(fetchCalls.length).toBeGreaterThan(0);
-      if (fetchCalls.length > 0) {
-        expect(fetchCalls[0]).toMatch(/^https:\/\/ipfs\.web4\.testnet\.page\/ipfs\/baf/);
-        expect(fetchCalls[0]).not.toContain('undefined');
-      }
+      const carData = Buffer.from(await fs.readFile(HELLO_CAR_FILE));
+      const helloOffset = carData.indexOf('Hello, World');
+      carData[helloOffset] = 'J'.charCodeAt(0);
 
-      global.fetch = originalFetch;
-      mockConsoleLog.mockRestore();
+      await expect(uploadCAR(carData, {
+        signAndSendTransaction: mockSignAndSendTransaction,
+        log: () => {},
+      })).rejects.toThrow(/CAR block bafybei\w+ doesn't match its hash/);
+
+      expect(mockSignAndSendTransaction).not.toHaveBeenCalled();
+      expect(global.fetch).not.toHaveBeenCalled();
     });
+  });
 
-    it('should fail when options are missing required fields for isAlreadyUploaded', async () => {
-      const cid = packCID({ hash: Buffer.alloc(32, 1), version: 1, codec: 0x55 });
-      
+  describe('buildCAR', () => {
+    const files = [
+      { name: 'file1.txt', content: Buffer.from('Hello, world!') },
+      { name: 'folder/file2.txt', content: Buffer.from('Nested file') },
+    ];
+
+    it('should build CAR with same root as uploadFiles without network', async () => {
+      global.fetch = jest.fn(() => Promise.resolve({ status: 404 }));
+      const carBuffer = await buildCAR(files, { log: () => {} });
+      expect(global.fetch).not.toHaveBeenCalled();
+
+      const rootCid = await uploadFiles(files, { signAndSendTransaction: async () => {}, log: () => {} });
+      const roots = await uploadCAR(carBuffer, { signAndSendTransaction: async () => {}, log: () => {} });
+      assert.deepStrictEqual(roots, [rootCid]);
+    });
+
+    it('should be deterministic', async () => {
+      const first = await buildCAR(files, { log: () => {} });
+      const second = await buildCAR(files, { log: () => {} });
+      assert(first.equals(second));
+    });
+  });
+
+  describe('dryRun', () => {
+    const files = [
+      { name: 'file1.txt', content: Buffer.from('Hello, world!') },
+      { name: 'folder/file2.txt', content: Buffer.from('Nested file') },
+    ];
+
+    it('should report upload plan without sending transactions', async () => {
+      const existingCid = cidToString(packCID({ hash: Buffer.from(sha256.arrayBuffer('Hello, world!')), version: 1, codec: CODEC_RAW }));
+      global.fetch = jest.fn((url) => Promise.resolve({ status: url.endsWith(existingCid) ? 200 : 404 }));
+      const mockSignAndSendTransaction = jest.fn();
+
+      const plan = await uploadFiles(files, {
+        signAndSendTransaction: mockSignAndSendTransaction,
+        log: () => {},
+        dryRun: true,
+        timeout: 1000,
+        retryCount: 1,
+      });
+
+      expect(mockSignAndSendTransaction).not.toHaveBeenCalled();
+      expect(plan.rootCid).toBe(await uploadFiles(files, { signAndSendTransaction: async () => {}, log: () => {} }));
+      expect(plan).toMatchObject({ blocks: 4, newBlocks: 3, existingBlocks: 1, transactions: 1 });
+      expect(plan.newBytes).toBeLessThan(plan.bytes);
+      expect(plan.estimatedGas).toBeGreaterThan(0);
+      expect(plan.estimatedCost).toBeCloseTo(plan.estimatedGas * 1e8 / 1e24);
+    });
+
+    it('should report CAR roots in dry run', async () => {
+      global.fetch = () => Promise.resolve({ status: 404 });
+      const mockSignAndSendTransaction = jest.fn();
+
+      const plan = await uploadCAR(await fs.readFile(MULTI_ROOT_V2_CAR_FILE), {
+        signAndSendTransaction: mockSignAndSendTransaction,
+        log: () => {},
+        dryRun: true,
+      });
+
+      expect(mockSignAndSendTransaction).not.toHaveBeenCalled();
+      expect(plan.rootCids).toHaveLength(2);
+      expect(plan).toMatchObject({ blocks: 2, newBlocks: 2, existingBlocks: 0, transactions: 1 });
+    });
+
+    it('should print summary in executeUpload without credentials', async () => {
+      const mockConsoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+      global.fetch = () => Promise.resolve({ status: 404 });
+
+      const result = await executeUpload('package.json', {}, { network: 'testnet', dryRun: true });
+
+      expect(result.newBlocks).toBe(2);
+      expect(mockConsoleLog).toHaveBeenCalledWith('\nDry run complete, nothing was uploaded.');
+      expect(mockConsoleLog).toHaveBeenCalledWith('Transactions: 1');
+      expect(mockConsoleLog).not.toHaveBeenCalledWith('\nUpload complete!');
+
+      mockConsoleLog.mockRestore();
+    });
+  });
+
+  describe('checkpoint', () => {
+    const memoryCheckpoint = () => {
+      const entries = [];
+      return { entries, load: async () => [...entries], append: async (entry) => entries.push(entry), clear: async () => entries.splice(0) };
+    };
+    const blocks = fakeBlocks(4, i => Buffer.alloc(200000, i));
+
+    it('should resume upload without checking known blocks again', async () => {
+      global.fetch = jest.fn((url) => Promise.resolve({ status: url.endsWith(cidToString(blocks[0].cid)) ? 200 : 404 }));
+      const checkpoint = memoryCheckpoint();
+      const sentBatches = [];
+      let failNext = false;
+      const signAndSendTransaction = async (batch) => {
+        if (failNext) {
+          throw new Error('RPC is down');
+        }
+        failNext = true;
+        sentBatches.push(batch);
+        return { transaction_outcome: { id: `tx${sentBatches.length}` } };
+      };
+      // Two blocks per transaction
+      const options = { signAndSendTransaction, log: () => {}, checkpoint, timeout: 1000, retryCount: 1, limits: { maxTransactionBytes: 512 * 1024 } };
+
+      await expect(uploadBlocks(blocks, options)).rejects.toThrow('RPC is down');
+      expect(checkpoint.entries.map(({ type }) => type)).toEqual(['existing', 'batch', 'done', 'batch']);
+      expect(checkpoint.entries[2]).toEqual({ type: 'done', id: 0, transactionHash: 'tx1' });
+
+      global.fetch.mockClear();
+      failNext = false;
+      const plan = await uploadBlocks(blocks, options);
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(sentBatches.map(batch => batch.length)).toEqual([2, 1]);
+      expect(plan).toMatchObject({ newBlocks: 1, existingBlocks: 3, transactionHashes: ['tx2'] });
+    });
+
+    it('should ignore incomplete last line in checkpoint file', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nearfs-upload-'));
+      const checkpointPath = path.join(dir, 'nested', 'checkpoint.jsonl');
+      const checkpoint = fileCheckpoint(checkpointPath);
+
+      await checkpoint.append({ type: 'batch', id: 0, cids: ['bafk1'] });
+      await fs.appendFile(checkpointPath, '{"type":"do');
+      expect(await checkpoint.load()).toEqual([{ type: 'batch', id: 0, cids: ['bafk1'] }]);
+
+      await checkpoint.clear();
+      expect(await checkpoint.load()).toEqual([]);
+      await fs.rm(dir, { recursive: true });
+    });
+
+    it('should refuse to resume checkpoint of different upload', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nearfs-upload-'));
+      const checkpointPath = path.join(dir, 'checkpoint.jsonl');
+      await fileCheckpoint(checkpointPath).append({ type: 'upload', filePath: '/other', gatewayUrl: 'https://ipfs.web4.testnet.page', accountId: 'test.near' });
+
+      await expect(executeUpload('package.json', { accountId: 'test.near' }, {
+        network: 'testnet',
+        resume: true,
+        checkpointPath
+      })).rejects.toThrow(/is for a different upload/);
+
+      await fs.rm(dir, { recursive: true });
+    });
+  });
+
+  describe('Deduplication Bug', () => {
+    it('should properly pass gatewayUrl to isAlreadyUploaded in executeUpload', async () => {
+      const mockConsoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+      
+      // Mock fetch to track what URLs are being called
+      const fetchCalls = [];
+      const originalFetch = global.fetch;
+      global.fetch = jest.fn((url, options) => {
+        console.log('FETCH CALLED WITH:', url);
+        fetchCalls.push(url);
+        return Promise.resolve({ status: 404 }); // Simulate not found
+      });
+
+      // Create fake NEAR connection
+      const fakeNearConnection = {
+        account: {
+          signAndSendTransaction: jest.fn(() => Promise.resolve())
+        },
+        accountId: 'test.near'
+      };
+
+      const mockTransactions = {
+        functionCall: jest.fn(() => 'mock-action')
+      };
+
+      await executeUpload(
+        'package.json',
+        fakeNearConnection,
+        { 
+          network: 'testnet',
+          transactions: mockTransactions
+        }
+      );
+
+      console.log('Total fetch calls:', fetchCalls.length);
+      console.log('Fetch calls:', fetchCalls);
+
+      // Verify that fetch was called with proper gateway URL
+      expect(fetchCalls.length).toBeGreaterThan(0);
+      if (fetchCalls.length > 0) {
+        expect(fetchCalls[0]).toMatch(/^https:\/\/ipfs\.web4\.testnet\.page\/ipfs\/baf/);
+        expect(fetchCalls[0]).not.toContain('undefined');
+      }
+
+      global.fetch = originalFetch;
+      mockConsoleLog.mockRestore();
+    });
+
+    it('should fail when options are missing required fields for isAlreadyUploaded', async () => {
+      const cid = packCID({ hash: Buffer.alloc(32, 1), version: 1, codec: 0x55 });
+      
       // Mock fetch to track what URLs are being called
       const fetchCalls = [];
       global.fetch = jest.fn((url, options) => {
@@ -373,6 +1217,941 @@ describe('NEARFS Uploader', () => {
     });
   });
 
+  describe('Transaction Retries', () => {
+    const blocks = fakeBlocks(1);
+    const nearError = (type, message = type) => Object.assign(new Error(message), { type });
+
+    it('should retry retryable errors with backoff', async () => {
+      const mockLog = jest.fn();
+      const mockSignAndSendTransaction = jest.fn()
+        .mockRejectedValueOnce(nearError('InvalidNonce'))
+        .mockRejectedValueOnce(Object.assign(new Error('Too Many Requests'), { cause: 429 }))
+        .mockResolvedValueOnce({ transaction_outcome: { id: 'tx1' } });
+
+      const plan = await uploadBlocks(blocks, {
+        signAndSendTransaction: mockSignAndSendTransaction,
+        log: mockLog,
+        transactionRetryDelay: 1,
+      });
+
+      expect(mockSignAndSendTransaction).toHaveBeenCalledTimes(3);
+      expect(plan.transactionHashes).toEqual(['tx1']);
+      expect(mockLog).toHaveBeenCalledWith(expect.stringMatching(/^Transaction failed \(InvalidNonce\), retrying in \d+ms$/));
+    });
+
+    it('should fail fast on fatal errors with readable message', async () => {
+      const mockSignAndSendTransaction = jest.fn(() => Promise.reject(nearError('NotEnoughBalance', 'Sender test.near does not have enough balance 0.1 for operation costing 0.2')));
+
+      await expect(uploadBlocks(blocks, {
+        signAndSendTransaction: mockSignAndSendTransaction,
+        log: () => {},
+        transactionRetryDelay: 1,
+      })).rejects.toThrow('Transaction failed: Sender test.near does not have enough balance 0.1 for operation costing 0.2. Top up the account balance and resume the upload.');
+
+      expect(mockSignAndSendTransaction).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up after configured number of retries', async () => {
+      const mockSignAndSendTransaction = jest.fn(() => Promise.reject(nearError('TimeoutError', 'Transaction timed out')));
+
+      await expect(uploadBlocks(blocks, {
+        signAndSendTransaction: mockSignAndSendTransaction,
+        log: () => {},
+        transactionRetryCount: 2,
+        transactionRetryDelay: 1,
+      })).rejects.toThrow('Transaction failed after 3 attempts: Transaction timed out');
+
+      expect(mockSignAndSendTransaction).toHaveBeenCalledTimes(3);
+    });
+
+    it('should classify NEAR errors', () => {
+      expect(isRetryableNearError(nearError('Expired'))).toBe(true);
+      expect(isRetryableNearError(Object.assign(new Error('fetch failed'), { cause: { code: 'ECONNRESET' } }))).toBe(true);
+      expect(isRetryableNearError(nearError('NotEnoughBalance'))).toBe(false);
+      expect(isRetryableNearError(nearError('AccessKeyNotFound'))).toBe(false);
+    });
+  });
+
+  describe('Parallel Uploads', () => {
+    const blocks = fakeBlocks(6, i => Buffer.alloc(200000, i));
+
+    it('should keep several batches in flight and report progress', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const mockStatusCallback = jest.fn();
+
+      await uploadBlocks(blocks.map(block => ({ ...block, data: Buffer.alloc(300000) })), {
+        signAndSendTransaction: async () => {
+          maxInFlight = Math.max(maxInFlight, ++inFlight);
+          await new Promise(resolve => setTimeout(resolve, 10));
+          inFlight--;
+        },
+        log: () => {},
+        statusCallback: mockStatusCallback,
+        concurrency: 3,
+        limits: { maxActions: 1 },
+      });
+
+      expect(maxInFlight).toBe(3);
+      expect(mockStatusCallback.mock.calls.map(([{ currentBlocks }]) => currentBlocks)).toEqual([1, 2, 3, 4, 5, 6]);
+      expect(mockStatusCallback).toHaveBeenLastCalledWith({ currentBlocks: 6, totalBlocks: 6 });
+    });
+
+    it('should use every access key in executeUpload without sharing them', async () => {
+      const mockConsoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+      global.fetch = () => Promise.resolve({ status: 404 });
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nearfs-upload-'));
+      for (let i = 0; i < 6; i++) {
+        await fs.writeFile(path.join(dir, `file${i}.bin`), Buffer.alloc(300000, i));
+      }
+
+      const busy = new Set();
+      const used = new Set();
+      const accounts = [0, 1, 2].map(i => ({
+        signAndSendTransaction: jest.fn(async () => {
+          expect(busy.has(i)).toBe(false);
+          busy.add(i);
+          used.add(i);
+          await new Promise(resolve => setTimeout(resolve, 10));
+          busy.delete(i);
+        })
+      }));
+
+      await executeUpload(dir, { account: accounts[0], accounts, accountId: 'test.near' }, {
+        network: 'testnet',
+        transactions: { functionCall: jest.fn(() => 'mock-action') },
+        checkpointPath: path.join(dir, 'checkpoint.jsonl'),
+        limits: { maxActions: 1 }
+      });
+
+      expect([...used].sort()).toEqual([0, 1, 2]);
+
+      await fs.rm(dir, { recursive: true });
+      mockConsoleLog.mockRestore();
+    });
+
+    it('should upload faster with more function call access keys', async () => {
+      global.fetch = () => Promise.resolve({ status: 404 });
+      const dir = await tempSite(Object.fromEntries([...Array(12).keys()].map(i => [`file${i}.txt`, `file ${i}`])));
+      const options = {
+        network: 'testnet',
+        transactions: { functionCall: jest.fn(() => 'mock-action') },
+        checkpointPath: path.join(dir, 'checkpoint.jsonl'),
+        cache: false,
+        limits: { maxActions: 4 },
+        log: () => {}
+      };
+
+      // Resolves to the number of transactions sent by the busiest key, every transaction takes the same time
+      const uploadRounds = async (functionCallKeys) => {
+        const accounts = [false, ...Array(functionCallKeys).fill(true)].map(functionCallKey => {
+          const actionCounts = [];
+          const signAndSendTransaction = async ({ actions }) => {
+            actionCounts.push(actions.length);
+            await new Promise(resolve => setTimeout(resolve, 10));
+          };
+          return { functionCallKey, actionCounts, signAndSendTransaction };
+        });
+
+        await executeUpload(path.join(dir, 'site'), { account: accounts[0], accounts, accountId: 'test.near' }, options);
+
+        // 12 files and directory
+        expect(accounts.flatMap(({ actionCounts }) => actionCounts).reduce((a, b) => a + b, 0)).toBe(13);
+        expect(accounts.slice(1).flatMap(({ actionCounts }) => actionCounts).every(count => count === 1)).toBe(true);
+        return Math.max(...accounts.map(({ actionCounts }) => actionCounts.length));
+      };
+
+      expect(await uploadRounds(0)).toBe(4);
+      expect(await uploadRounds(2)).toBe(3);
+      expect(await uploadRounds(4)).toBe(2);
+
+      await fs.rm(dir, { recursive: true });
+    });
+  });
+
+  describe('Existence Checks', () => {
+    const cids = fakeBlocks(8).map(({ cid }) => cid);
+    const checkOptions = { log: () => {}, timeout: 1000, retryCount: 1 };
+
+    it('should check blocks on the gateway with bounded concurrency', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      global.fetch = jest.fn(async (url) => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return { status: url.endsWith(cidToString(cids[2])) ? 200 : 404 };
+      });
+
+      const result = await gatewayExistenceCheck(cids, { ...checkOptions, existenceCheckConcurrency: 3 });
+
+      expect(result).toEqual([false, false, true, false, false, false, false, false]);
+      expect(global.fetch).toHaveBeenCalledTimes(8);
+      expect(maxInFlight).toBe(3);
+    });
+
+    it('should not request blocks known to be uploaded', async () => {
+      global.fetch = jest.fn(() => Promise.resolve({ status: 404 }));
+      const existenceCheck = cachedExistenceCheck(new Set([cidToString(cids[0]), cidToString(cids[5])]));
+
+      const result = await existenceCheck(cids, checkOptions);
+
+      expect(result).toEqual([true, false, false, false, false, true, false, false]);
+      expect(global.fetch).toHaveBeenCalledTimes(6);
+      expect(global.fetch.mock.calls.some(([url]) => url.endsWith(cidToString(cids[0])))).toBe(false);
+    });
+
+    it('should treat blocks as new when gateway is overloaded', async () => {
+      global.fetch = jest.fn(async (url) => url.endsWith(cidToString(cids[0])) ? { status: 200 } : { status: 503 });
+      const mockLog = jest.fn();
+      const submitted = [];
+
+      const result = await uploadBlocks(cids.map((cid, i) => ({ cid, data: Buffer.from([i]) })), {
+        signAndSendTransaction: async (batch) => { submitted.push(...batch); },
+        log: mockLog,
+        timeout: 1000,
+        retryCount: 2,
+      });
+
+      expect(result).toMatchObject({ existingBlocks: 1, newBlocks: 7 });
+      expect(submitted.length).toBe(7);
+      // Every overloaded check is retried once
+      expect(global.fetch).toHaveBeenCalledTimes(1 + 7 * 2);
+      expect(mockLog).toHaveBeenCalledWith('Status 503 while checking', expect.stringContaining(cidToString(cids[1])));
+    });
+
+    it('should look up blocks in indexer in batches', async () => {
+      global.fetch = jest.fn();
+      const lookup = jest.fn(async (cidsToLookup) => {
+        if (cidsToLookup.includes(cidToString(cids[6]))) {
+          throw new Error('indexer is down');
+        }
+        return cidsToLookup.filter(cid => cid === cidToString(cids[1]) || cid === cidToString(cids[7]));
+      });
+      const mockLog = jest.fn();
+
+      const result = await indexerExistenceCheck(lookup, { batchSize: 3 })(cids, { ...checkOptions, log: mockLog });
+
+      expect(lookup.mock.calls.map(([batch]) => batch.length)).toEqual([3, 3, 2]);
+      // Last batch failed, so its blocks are treated as new
+      expect(result).toEqual([false, true, false, false, false, false, false, false]);
+      expect(mockLog).toHaveBeenCalledWith('Existence lookup failed, treating blocks as new:', 'indexer is down');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should upload blocks with custom existence check', async () => {
+      global.fetch = jest.fn(() => Promise.resolve({ status: 404 }));
+      const existenceCheck = jest.fn(async (cidsToCheck) => cidsToCheck.map((cid, i) => i % 2 === 0));
+      const submitted = [];
+
+      const result = await uploadBlocks(cids.map((cid, i) => ({ cid, data: Buffer.from([i]) })), {
+        signAndSendTransaction: async (batch) => { submitted.push(...batch); },
+        log: () => {},
+        existenceCheck,
+      });
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(existenceCheck).toHaveBeenCalledTimes(1);
+      expect(submitted).toEqual([1, 3, 5, 7].map(i => Buffer.from([i])));
+      expect(result.existingBlocks).toBe(4);
+    });
+
+    it('should treat blocks as new when time limit is reached', async () => {
+      const mockLog = jest.fn();
+      const submitted = [];
+
+      const result = await uploadBlocks(cids.map((cid, i) => ({ cid, data: Buffer.from([i]) })), {
+        signAndSendTransaction: async (batch) => { submitted.push(...batch); },
+        log: mockLog,
+        existenceCheck: () => new Promise(() => {}),
+        existenceCheckTimeLimit: 50,
+      });
+
+      expect(submitted.length).toBe(8);
+      expect(result.newBlocks).toBe(8);
+      expect(mockLog).toHaveBeenCalledWith('Existence check time limit reached, treating remaining blocks as new');
+    });
+
+    it('should not count time spent sending transactions against check time limit', async () => {
+      const uploadedCids = new Set(cids.slice(2, 4).map(cid => cidToString(cid)));
+      const existenceCheck = jest.fn(async (cidsToCheck) => cidsToCheck.map(cid => uploadedCids.has(cidToString(cid))));
+      const submitted = [];
+
+      const result = await uploadBlocks(cids.slice(0, 4).map((cid, i) => ({ cid, data: Buffer.from([i]) })), {
+        signAndSendTransaction: async (batch) => {
+          await new Promise(resolve => setTimeout(resolve, 400));
+          submitted.push(...batch);
+        },
+        log: () => {},
+        existenceCheck,
+        existenceCheckTimeLimit: 300,
+        maxWindowBlocks: 2,
+      });
+
+      // Second window is checked even though sending first one took longer than the limit
+      expect(existenceCheck).toHaveBeenCalledTimes(2);
+      expect(submitted).toEqual([Buffer.from([0]), Buffer.from([1])]);
+      expect(result.existingBlocks).toBe(2);
+    });
+  });
+
+  describe('Fetching', () => {
+    const gatewayUrl = 'https://gateway.test';
+    let dir;
+    let blocks;
+
+    const serveBlocks = async (files, options = {}) => {
+      blocks = new Map();
+      const dirBlocks = generateBlocks(files, { log: () => {}, ...options });
+      let result;
+      while (!(result = await dirBlocks.next()).done) {
+        blocks.set(cidToString(result.value.cid), result.value.data);
+      }
+      global.fetch = async (url) => {
+        const data = blocks.get(url.match(/\/ipfs\/(\w+)\?format=raw$/)[1]);
+        return data ? { status: 200, arrayBuffer: async () => data } : { status: 404 };
+      };
+      return cidToString(result.value);
+    };
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nearfs-upload-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true });
+    });
+
+    it('should rebuild files and directories', async () => {
+      const rootCid = await serveBlocks([
+        { name: 'index.html', content: Buffer.from('<h1>Hi</h1>') },
+        { name: 'assets/big.bin', content: Buffer.alloc(5000, 3), mode: 0o600, mtime: { secs: 1700000000 } },
+        { name: 'assets/empty.txt', content: Buffer.alloc(0) },
+        { name: 'empty', type: 'directory' },
+        { name: 'link', type: 'symlink', target: 'index.html' },
+      ], { chunkSize: 1000, maxLinks: 2 });
+
+      const outPath = path.join(dir, 'out');
+      const result = await getCID(rootCid, outPath, { gatewayUrl, log: () => {} });
+
+      assert.deepStrictEqual(result, { rootCid, outPath, gatewayUrl });
+      assert.strictEqual(await fs.readFile(path.join(outPath, 'index.html'), 'utf8'), '<h1>Hi</h1>');
+      assert.deepStrictEqual(await fs.readFile(path.join(outPath, 'assets/big.bin')), Buffer.alloc(5000, 3));
+      assert.strictEqual((await fs.readFile(path.join(outPath, 'assets/empty.txt'))).length, 0);
+      expect(await fs.readdir(path.join(outPath, 'empty'))).toEqual([]);
+      assert.strictEqual(await fs.readlink(path.join(outPath, 'link')), 'index.html');
+
+      const stats = await fs.stat(path.join(outPath, 'assets/big.bin'));
+      assert.strictEqual(stats.mode & 0o777, 0o600);
+      assert.strictEqual(stats.mtimeMs, 1700000000000);
+    });
+
+    it('should rebuild sharded directories', async () => {
+      const names = Array.from({ length: 100 }, (_, i) => `file${i}.txt`);
+      const rootCid = await serveBlocks(names.map(name => ({ name, content: Buffer.from(name) })), { shardSplitThreshold: 1000 });
+
+      await getCID(rootCid, path.join(dir, 'out'), { gatewayUrl, log: () => {} });
+
+      expect((await fs.readdir(path.join(dir, 'out'))).sort()).toEqual([...names].sort());
+      assert.strictEqual(await fs.readFile(path.join(dir, 'out', 'file42.txt'), 'utf8'), 'file42.txt');
+    });
+
+    it('should export CAR file with every block once', async () => {
+      const rootCid = await serveBlocks([
+        { name: 'a.txt', content: Buffer.from('same') },
+        { name: 'b/a.txt', content: Buffer.from('same') },
+      ]);
+
+      await getCID(rootCid, path.join(dir, 'out.car'), { gatewayUrl, log: () => {} });
+
+      const { roots, blocks: carBlocks } = readCARFile(await fs.readFile(path.join(dir, 'out.car')));
+      assert.deepStrictEqual(roots, [rootCid]);
+      assert.deepStrictEqual(carBlocks.map(({ cid }) => cidToString(cid)).sort(), [...blocks.keys()].sort());
+    });
+
+    it('should reject blocks which do not match CID', async () => {
+      const rootCid = await serveBlocks([{ name: 'a.txt', content: Buffer.from('original') }]);
+      const [leafCid] = [...blocks.keys()].filter(cid => cid !== rootCid);
+      blocks.set(leafCid, Buffer.from('tampered'));
+
+      await expect(getCID(rootCid, path.join(dir, 'out'), { gatewayUrl, log: () => {} }))
+        .rejects.toThrow(`Block ${leafCid} from ${gatewayUrl} doesn't match its hash`);
+    });
+
+    it('should fail on missing blocks', async () => {
+      const rootCid = await serveBlocks([{ name: 'a.txt', content: Buffer.from('a') }, { name: 'b.txt', content: Buffer.from('b') }]);
+      const [leafCid] = [...blocks.keys()].filter(cid => cid !== rootCid);
+      blocks.delete(leafCid);
+
+      const fetched = [];
+      const walk = async () => {
+        for await (const { cid } of fetchDAG(rootCid, { gatewayUrl, log: () => {} })) {
+          fetched.push(cidToString(cid));
+        }
+      };
+      await expect(walk()).rejects.toThrow(`Block ${leafCid} not found at ${gatewayUrl}`);
+      assert.strictEqual(fetched[0], rootCid);
+    });
+
+    it('should retry blocks when gateway is overloaded', async () => {
+      const rootCid = await serveBlocks([{ name: 'a.txt', content: Buffer.from('a') }]);
+      const serve = global.fetch;
+      const statuses = [];
+      global.fetch = async (url) => {
+        const status = statuses.length === 0 ? 503 : 200;
+        statuses.push(status);
+        return status === 503 ? { status } : serve(url);
+      };
+
+      const logs = [];
+      await getCID(rootCid, path.join(dir, 'out'), { gatewayUrl, retryCount: 2, log: (...args) => logs.push(args.join(' ')) });
+
+      assert.strictEqual(await fs.readFile(path.join(dir, 'out', 'a.txt'), 'utf8'), 'a');
+      assert.strictEqual(statuses[0], 503);
+      expect(logs.some(line => line.startsWith('Retrying') && line.endsWith('after status 503'))).toBe(true);
+
+      global.fetch = async () => ({ status: 503 });
+      await expect(getCID(rootCid, path.join(dir, 'out2'), { gatewayUrl, retryCount: 2, log: () => {} }))
+        .rejects.toThrow('Unexpected status code 503');
+    });
+
+    it('should not write outside of output directory', async () => {
+      const rootCid = await serveBlocks([{ name: '../evil.txt', content: Buffer.from('evil') }]);
+
+      await expect(getCID(rootCid, path.join(dir, 'out'), { gatewayUrl, log: () => {} })).rejects.toThrow('Unsafe path in DAG: ".."');
+      await expect(fs.access(path.join(dir, 'evil.txt'))).rejects.toThrow();
+    });
+
+    it('should not overwrite existing files', async () => {
+      const rootCid = await serveBlocks([{ name: 'a.txt', content: Buffer.from('a') }]);
+      await fs.writeFile(path.join(dir, 'out'), 'existing');
+
+      await expect(getCID(rootCid, path.join(dir, 'out'), { gatewayUrl, log: () => {} })).rejects.toThrow('Output path already exists');
+    });
+  });
+
+  describe('Verification', () => {
+    let dir;
+    let gateway;
+
+    beforeEach(async () => {
+      dir = await tempSite({ 'index.html': '<h1>Hi</h1>', 'big.bin': Buffer.alloc(600000, 5) });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      gateway = mockGateway();
+    });
+
+    afterEach(async () => {
+      console.log.mockRestore();
+      await fs.rm(dir, { recursive: true });
+    });
+
+    const upload = (options) => executeUpload(path.join(dir, 'site'), { account: fakeAccount(gateway), accountId: 'test.near' }, {
+      network: 'testnet',
+      transactions: fakeTransactions,
+      cache: false,
+      checkpointPath: path.join(dir, 'checkpoint.jsonl'),
+      verify: true,
+      verifyRetryDelay: 0,
+      ...options
+    });
+
+    it('should upload blocks missing on gateway again', async () => {
+      const leaf = Buffer.alloc(256 * 1024, 5);
+      let sent = 0;
+      gateway.dropped.add(hashOf(leaf));
+      const result = await upload({
+        transactions: {
+          functionCall: (methodName, data) => {
+            if (hashOf(data) === hashOf(leaf)) {
+              sent++;
+              // Only first upload of the block is lost
+              if (sent > 1) {
+                gateway.dropped.clear();
+              }
+            }
+            return data;
+          }
+        }
+      });
+
+      assert.strictEqual(sent, 2);
+      assert.strictEqual(result.verifiedBlocks, gateway.stored.size);
+      assert.ok(gateway.stored.has(hashOf(leaf)));
+    });
+
+    it('should fail when blocks are still missing', async () => {
+      gateway.dropped.add(hashOf(Buffer.from('<h1>Hi</h1>')));
+
+      await expect(upload({ verifyRetryCount: 1 })).rejects.toThrow(/^Upload is incomplete, 1 blocks are still missing on https:\/\/ipfs.web4.testnet.page: bafkrei/);
+    });
+
+    it('should remove missing blocks from CID cache', async () => {
+      const cacheDir = path.join(dir, 'cache');
+      const missingCid = cidToString(packCID({ hash: Buffer.from(sha256.arrayBuffer('<h1>Hi</h1>')), version: 1, codec: CODEC_RAW }));
+      gateway.dropped.add(hashOf(Buffer.from('<h1>Hi</h1>')));
+
+      await expect(upload({ cache: true, cacheDir, verifyRetryCount: 1 })).rejects.toThrow(/^Upload is incomplete/);
+
+      const cached = await fileCIDCache(cidCachePath('https://ipfs.web4.testnet.page', cacheDir)).load();
+      expect(cached.size).toBeGreaterThan(0);
+      expect(cached.has(missingCid)).toBe(false);
+    });
+  });
+
+  describe('Incremental uploads', () => {
+    let dir;
+    let gateway;
+
+    beforeEach(async () => {
+      dir = await tempSite({
+        'index.html': '<h1>Hi</h1>',
+        'old.html': 'old',
+        'assets/app.js': 'app()',
+        'assets/big.bin': Buffer.alloc(600000, 5),
+      });
+      gateway = mockGateway();
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true });
+    });
+
+    const upload = (options) => executeUpload(path.join(dir, 'site'), { account: fakeAccount(gateway), accountId: 'test.near' }, {
+      network: 'testnet',
+      transactions: fakeTransactions,
+      cache: false,
+      checkpointPath: path.join(dir, 'checkpoint.jsonl'),
+      log: () => {},
+      ...options
+    });
+
+    it('should only check and upload changed blocks', async () => {
+      const { rootCid: previousRoot } = await upload();
+      await fs.writeFile(path.join(dir, 'site', 'index.html'), '<h1>Hello</h1>');
+      await fs.writeFile(path.join(dir, 'site', 'assets', 'new.js'), 'more()');
+      await fs.rm(path.join(dir, 'site', 'old.html'));
+      gateway.requests.length = 0;
+
+      const result = await upload({ previousRoot });
+
+      expect(result.changes).toEqual({ added: ['assets/new.js'], changed: ['index.html'], removed: ['old.html'] });
+      // Directories and big.bin file node are read, their raw leaves aren't
+      expect(gateway.requests.filter(({ method }) => method === 'GET').map(({ codec }) => codec)).toEqual([CODEC_DAG_PB, CODEC_DAG_PB, CODEC_DAG_PB]);
+      // Only new index.html, new.js and both changed directories are checked
+      expect(new Set(gateway.requests.filter(({ method }) => method === 'HEAD').map(({ cid }) => cid)).size).toBe(4);
+      expect(result).toMatchObject({ uploadedBlocks: 4, skippedBlocks: 4 });
+    });
+
+    it('should read files of sharded directory', async () => {
+      const addedFiles = [];
+      const files = [...Array(20).keys()].map(i => ({ name: `dir/file${i}.txt`, content: Buffer.from(`file ${i}`) }));
+      const rootCid = await uploadFiles([...files, { name: 'link', type: 'symlink', target: 'dir' }], {
+        signAndSendTransaction: async (batch) => batch.forEach(gateway.store),
+        log: () => {},
+        shardSplitThreshold: 100,
+        fileCallback: ({ name, cid }) => addedFiles.push([name, cidToString(cid)]),
+      });
+
+      const { files: dagFiles, cids } = await readDAGFiles(rootCid, { gatewayUrl: 'https://ipfs.web4.testnet.page', log: () => {} });
+
+      expect([...dagFiles.entries()].sort()).toEqual(addedFiles.sort());
+      expect(cids.size).toBe(gateway.stored.size);
+    });
+
+    it('should refuse base which is not a directory', async () => {
+      const data = Buffer.from('just a file');
+      gateway.store(data);
+      const cid = cidToString(packCID({ hash: Buffer.from(sha256.arrayBuffer(data)), version: 1, codec: CODEC_RAW }));
+
+      await expect(readDAGFiles(cid, { gatewayUrl: 'https://ipfs.web4.testnet.page' })).rejects.toThrow(`${cid} is not a directory`);
+    });
+  });
+
+  describe('web4 deploy', () => {
+    let dir;
+    let gateway;
+    let contractCalls;
+
+    beforeEach(async () => {
+      dir = await tempSite({ 'index.html': '<h1>Hi</h1>' });
+      gateway = mockGateway();
+      contractCalls = [];
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true });
+    });
+
+    const deploy = (options) => deployWeb4(path.join(dir, 'site'), {
+      account: fakeAccount(gateway, {
+        accountId: 'test.testnet',
+        onCall: async ({ actions }) => {
+          contractCalls.push(...actions);
+          return { transaction_outcome: { id: 'deploy-tx' } };
+        }
+      }),
+      accountId: 'test.testnet'
+    }, {
+      network: 'testnet',
+      transactions: fakeTransactions,
+      cache: false,
+      checkpointPath: path.join(dir, 'checkpoint.jsonl'),
+      verifyRetryDelay: 0,
+      log: () => {},
+      web4Contract: 'app.testnet',
+      ...options
+    });
+
+    it('should point contract at the uploaded CID', async () => {
+      const result = await deploy();
+
+      expect(contractCalls).toEqual([{ methodName: 'web4_setStaticUrl', args: { url: `ipfs://${result.rootCid}` } }]);
+      expect(result).toMatchObject({
+        web4Contract: 'app.testnet',
+        web4Url: 'https://app.testnet.page',
+        deployTransactionHash: 'deploy-tx',
+        verifiedBlocks: 2
+      });
+    });
+
+    it('should call configured setter method', async () => {
+      await deploy({ web4Method: 'set_site' });
+
+      expect(contractCalls.map(({ methodName }) => methodName)).toEqual(['set_site']);
+    });
+
+    it('should not touch contract when verification fails', async () => {
+      gateway.dropped.add(hashOf(Buffer.from('<h1>Hi</h1>')));
+
+      const error = await deploy({ verifyRetryCount: 1 }).catch(error => error);
+      expect(error.message).toMatch(/^Upload is incomplete, .* app\.testnet still points to the previous version$/);
+      expect(errorExitCode(error)).toBe(EXIT_CODES.partialUpload);
+      expect(contractCalls).toEqual([]);
+    });
+
+    it('should record deploys and roll back to earlier one', async () => {
+      const deploymentLog = fileDeploymentLog(path.join(dir, '.nearfs', 'deployments.json'));
+      const first = await deploy({ deploymentLog });
+      await fs.writeFile(path.join(dir, 'site', 'index.html'), '<h1>Broken</h1>');
+      const second = await deploy({ deploymentLog });
+
+      const log = jest.fn();
+      const entries = await listDeployments(deploymentLog, { log });
+      expect(entries).toEqual([first, second].map(({ rootCid }) => ({
+        type: 'deploy',
+        timestamp: expect.any(String),
+        rootCid,
+        network: 'testnet',
+        gatewayUrl: 'https://ipfs.web4.testnet.page',
+        accountId: 'test.testnet',
+        web4Contract: 'app.testnet',
+        web4Method: 'web4_setStaticUrl',
+        web4Url: 'https://app.testnet.page',
+        transactionHashes: ['deploy-tx'],
+        path: path.join(dir, 'site'),
+        gitHead: null
+      })));
+      expect(log).toHaveBeenCalledWith(expect.stringMatching(new RegExp(`^1\\. \\S+ deploy ${first.rootCid} on testnet by test.testnet -> app.testnet$`)));
+
+      contractCalls = [];
+      const result = await rollbackWeb4(1, {
+        account: { signAndSendTransaction: async ({ receiverId, actions }) => {
+          contractCalls.push({ receiverId, actions });
+          return { transaction_outcome: { id: 'rollback-tx' } };
+        } },
+        accountId: 'test.testnet'
+      }, {
+        network: 'testnet',
+        transactions: { functionCall: (methodName, args) => ({ methodName, args }) },
+        deploymentLog,
+        log: () => {}
+      });
+
+      expect(contractCalls).toEqual([{ receiverId: 'app.testnet', actions: [{ methodName: 'web4_setStaticUrl', args: { url: `ipfs://${first.rootCid}` } }] }]);
+      expect(result).toMatchObject({ rootCid: first.rootCid, deployTransactionHash: 'rollback-tx' });
+      expect((await deploymentLog.load())[2]).toMatchObject({ type: 'rollback', rootCid: first.rootCid, rollbackTo: 1, transactionHashes: ['rollback-tx'] });
+    });
+
+    it('should refuse to roll back to unknown deployment or other network', async () => {
+      const deploymentLog = fileDeploymentLog(path.join(dir, 'deployments.json'));
+      await deploy({ deploymentLog });
+      const rollback = (n, network) => rollbackWeb4(n, { account: {}, accountId: 'test.testnet' }, { network, deploymentLog, log: () => {} });
+
+      await expect(rollback(2, 'testnet')).rejects.toThrow('No deployment 2, expected number from 1 to 1');
+      await expect(rollback(1, 'mainnet')).rejects.toThrow('Deployment 1 was uploaded to https://ipfs.web4.testnet.page, not https://ipfs.web4.near.page');
+    });
+
+    it('should only print contract call in rollback dry run', async () => {
+      const deploymentLog = fileDeploymentLog(path.join(dir, 'deployments.json'));
+      const { rootCid } = await deploy({ deploymentLog });
+      contractCalls = [];
+
+      const log = jest.fn();
+      const result = await rollbackWeb4(1, {}, { network: 'testnet', dryRun: true, deploymentLog, log });
+
+      expect(log).toHaveBeenCalledWith(`Would call app.testnet.web4_setStaticUrl with ipfs://${rootCid}`);
+      expect(result).toEqual({ rootCid, gatewayUrl: 'https://ipfs.web4.testnet.page', web4Contract: 'app.testnet', web4Method: 'web4_setStaticUrl', web4Url: 'https://app.testnet.page' });
+      expect(contractCalls).toEqual([]);
+      expect(await deploymentLog.load()).toHaveLength(1);
+    });
+
+    it('should record upload with git commit', async () => {
+      global.fetch = async () => ({ status: 200 });
+      const deploymentLog = fileDeploymentLog(path.join(dir, 'deployments.json'));
+      const { execFileSync } = await import('child_process');
+      const repo = path.join(dir, 'repo');
+      const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', '-c', 'commit.gpgsign=false', ...args], { cwd: repo, encoding: 'utf8' }).trim();
+      await fs.mkdir(repo);
+      await fs.copyFile(HELLO_CAR_FILE, path.join(repo, 'hello.car'));
+      git('init', '-q');
+      git('add', 'hello.car');
+      git('commit', '-q', '-m', 'Add hello.car');
+
+      const result = await executeUpload(path.join(repo, 'hello.car'), { account: {}, accountId: 'test.testnet' }, {
+        network: 'testnet',
+        cache: false,
+        checkpointPath: path.join(dir, 'checkpoint.jsonl'),
+        deploymentLog,
+        log: () => {}
+      });
+
+      const [entry] = await deploymentLog.load();
+      expect(entry).toMatchObject({ type: 'upload', rootCid: result.rootCid, accountId: 'test.testnet', transactionHashes: [], path: path.join(repo, 'hello.car') });
+      expect(entry.gitHead).toBe(git('rev-parse', 'HEAD'));
+    });
+
+    it('should build web4 URL from account', () => {
+      expect(web4Url('app.near')).toBe('https://app.near.page');
+      expect(web4Url('sub.app.testnet')).toBe('https://sub.app.testnet.page');
+      expect(web4Url('app.localnet')).toBe(null);
+    });
+  });
+
+  describe('Signers', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nearfs-upload-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true });
+    });
+
+    it('should keep private key in passphrase protected keystore', async () => {
+      const keystorePath = path.join(dir, 'keystore.json');
+      const privateKey = 'ed25519:3D4YudUahN1nawWogh8pAKSj92sUNMdbZGjn7kERKzYoTy8tnFQuwoGUC51DowKqorvkr2pytJSnwuSbsNVfqygr';
+      const publicKey = 'ed25519:5eNZMFjzPumW5bLkZRrnxm6k4QmZ8jdGpFrzUaDbwBeR';
+
+      await createKeystore(keystorePath, { accountId: 'test.near', publicKey, privateKey, passphrase: 'correct horse' });
+
+      const keystore = await fs.readFile(keystorePath, 'utf8');
+      expect(keystore).toContain(publicKey);
+      expect(keystore).not.toContain(privateKey.split(':')[1]);
+      expect(await readKeystore(keystorePath, 'correct horse')).toEqual({ accountId: 'test.near', privateKey });
+      const error = await readKeystore(keystorePath, 'wrong').catch(error => error);
+      expect(error.message).toBe(`Wrong passphrase for keystore ${keystorePath}`);
+      expect(errorExitCode(error)).toBe(EXIT_CODES.credentials);
+      await expect(createKeystore(keystorePath, { accountId: 'test.near', publicKey, privateKey, passphrase: 'other' })).rejects.toThrow(/EEXIST/);
+    });
+
+    it('should export unsigned transactions and broadcast them later', async () => {
+      global.fetch = async () => ({ status: 404 });
+      const outPath = path.join(dir, 'unsigned.jsonl');
+      await fs.writeFile(outPath, 'left from previous export\n');
+      // Same shape as actions made by near-api-js
+      const transactions = {
+        functionCall: (methodName, args, gas, deposit) => ({ functionCall: { methodName, args, gas, deposit } })
+      };
+
+      const result = await executeUpload(HELLO_CAR_FILE, { account: unsignedTransactionsSigner(outPath, { accountId: 'test.near' }), accountId: 'test.near' }, {
+        network: 'testnet',
+        transactions,
+        checkpointPath: path.join(dir, 'checkpoint.jsonl'),
+        log: () => {}
+      });
+
+      expect(result.unsignedTransactionsPath).toBe(outPath);
+      const { blocks } = readCARFile(await fs.readFile(HELLO_CAR_FILE));
+      const lines = (await fs.readFile(outPath, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+      expect(lines).toEqual([{
+        signer_id: 'test.near',
+        receiver_id: 'test.near',
+        actions: blocks.map(({ data }) => ({ type: 'FunctionCall', method_name: 'fs_store', args: data.toString('base64'), gas: fsStoreGas(data).toString(), deposit: '0' }))
+      }]);
+      // Nothing is on chain yet, so cache must not remember these blocks
+      await expect(fs.access(cidCachePath('https://ipfs.web4.testnet.page', path.join(process.env.XDG_CACHE_HOME, 'nearfs-upload')))).rejects.toThrow();
+
+      const sent = [];
+      const signer = {
+        accountId: 'test.near',
+        signAndSendTransaction: async ({ receiverId, actions }) => {
+          sent.push({ receiverId, args: actions.map(({ functionCall }) => Buffer.from(functionCall.args)) });
+          return { transaction_outcome: { id: 'tx1' } };
+        }
+      };
+      expect(await broadcastTransactions(outPath, { signer, transactions, log: () => {} })).toEqual({ transactions: 1, transactionHashes: ['tx1'] });
+      expect(sent).toEqual([{ receiverId: 'test.near', args: blocks.map(({ data }) => data) }]);
+    });
+
+    it('should send transactions which are signed already as is', async () => {
+      const signedTransaction = Buffer.from('borsh encoded signed transaction');
+      const inPath = path.join(dir, 'signed.jsonl');
+      await fs.writeFile(inPath, JSON.stringify({ signer_id: 'test.near', receiver_id: 'test.near', actions: [], signed_transaction: signedTransaction.toString('base64') }) + '\n');
+
+      const transactions = { SignedTransaction: { decode: (data) => ({ decoded: Buffer.from(data) }) } };
+      const provider = { sendTransaction: jest.fn(async () => ({ transaction_outcome: { id: 'tx1' } })) };
+      const signer = { accountId: 'test.near', signAndSendTransaction: jest.fn() };
+      const result = await broadcastTransactions(inPath, { signer, provider, transactions, log: () => {} });
+
+      expect(result.transactionHashes).toEqual(['tx1']);
+      expect(provider.sendTransaction).toHaveBeenCalledWith({ decoded: signedTransaction });
+      expect(signer.signAndSendTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should require signer of the exported transactions', async () => {
+      const inPath = path.join(dir, 'unsigned.jsonl');
+      await fs.writeFile(inPath, JSON.stringify({ signer_id: 'test.near', receiver_id: 'test.near', actions: [] }) + '\n');
+
+      const error = await broadcastTransactions(inPath, { log: () => {} }).catch(error => error);
+      expect(error.message).toBe('Transaction 1 is not signed, provide credentials of test.near to sign it');
+      expect(errorExitCode(error)).toBe(EXIT_CODES.credentials);
+      await expect(broadcastTransactions(inPath, { signer: { accountId: 'other.near' }, log: () => {} }))
+        .rejects.toThrow('Transaction 1 has to be signed by test.near, not other.near');
+    });
+
+    it('should refuse to verify upload which is not sent yet', async () => {
+      await expect(executeUpload(HELLO_CAR_FILE, { account: unsignedTransactionsSigner(path.join(dir, 'unsigned.jsonl'), { accountId: 'test.near' }), accountId: 'test.near' }, {
+        network: 'testnet',
+        verify: true,
+        checkpointPath: path.join(dir, 'checkpoint.jsonl'),
+        log: () => {}
+      })).rejects.toThrow('Upload can only be verified after unsigned transactions are broadcast');
+    });
+  });
+
+  describe('Upload result and exit codes', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await tempSite({ 'index.html': '<h1>Hi</h1>', 'big.bin': Buffer.alloc(600000, 5) });
+      // Only index.html is already uploaded
+      mockGateway().store(Buffer.from('<h1>Hi</h1>'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true });
+    });
+
+    const upload = (signAndSendTransaction, options) => executeUpload(path.join(dir, 'site'), {
+      account: { signAndSendTransaction },
+      accountId: 'test.near'
+    }, {
+      network: 'testnet',
+      transactions: fakeTransactions,
+      cache: false,
+      checkpointPath: path.join(dir, 'checkpoint.jsonl'),
+      log: () => {},
+      ...options
+    });
+
+    it('should return summary of the upload', async () => {
+      let transactionCount = 0;
+      const log = jest.fn();
+      const debug = jest.fn();
+      const result = await upload(async () => ({ transaction_outcome: { id: `tx${++transactionCount}` } }), { log, debug });
+
+      expect(result).toEqual({
+        rootCid: expect.stringMatching(/^bafybei/),
+        rootCids: [result.rootCid],
+        gatewayUrl: 'https://ipfs.web4.testnet.page',
+        urls: [`https://ipfs.web4.testnet.page/ipfs/${result.rootCid}`, `https://${result.rootCid}.ipfs.web4.testnet.page`],
+        // Both full chunks of big.bin are the same block
+        blocks: 5,
+        uploadedBlocks: 4,
+        skippedBlocks: 1,
+        // All new blocks fit into a single transaction
+        transactionHashes: ['tx1'],
+        durationMs: expect.any(Number),
+      });
+      expect(JSON.parse(JSON.stringify(result))).toEqual(result);
+
+      // Per-block details only go to debug
+      expect(debug).toHaveBeenCalledWith('block', expect.any(String));
+      expect(debug).toHaveBeenCalledWith('rootDir', expect.any(Object));
+      expect(log).not.toHaveBeenCalledWith('block', expect.any(String));
+      expect(log).toHaveBeenCalledWith('\nUpload complete!');
+    });
+
+    it('should report partial upload when transactions fail midway', async () => {
+      let transactionCount = 0;
+      const error = await upload(async () => {
+        if (++transactionCount > 1) {
+          const error = new Error('Not enough balance');
+          error.type = 'NotEnoughBalance';
+          throw error;
+        }
+        return {};
+      }, { limits: { maxActions: 2 } }).catch(error => error);
+
+      expect(error.message).toMatch(/^Upload interrupted after \d+ blocks, continue it with --resume: Transaction failed: Not enough balance/);
+      expect(error.code).toBe('PARTIAL_UPLOAD');
+      expect(errorExitCode(error)).toBe(EXIT_CODES.partialUpload);
+    });
+
+    it('should tell credential and network errors apart', async () => {
+      const missingCredentials = new Error('Missing credentials');
+      missingCredentials.code = 'MISSING_CREDENTIALS';
+      expect(errorExitCode(missingCredentials)).toBe(EXIT_CODES.credentials);
+
+      const accessKeyError = new Error('Access key not found');
+      accessKeyError.type = 'AccessKeyNotFound';
+      expect(errorExitCode(new Error('Transaction failed', { cause: accessKeyError }))).toBe(EXIT_CODES.credentials);
+
+      const fetchError = new TypeError('fetch failed', { cause: Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }) });
+      expect(errorExitCode(fetchError)).toBe(EXIT_CODES.network);
+      expect(errorExitCode(new Error('Transaction failed after 6 attempts', { cause: Object.assign(new Error('Nonce'), { type: 'InvalidNonce' }) }))).toBe(EXIT_CODES.network);
+
+      expect(errorExitCode(new Error('Duplicate path: a.txt'))).toBe(EXIT_CODES.error);
+    });
+  });
+
+  describe('CID cache', () => {
+    const blocks = fakeBlocks(3, i => Buffer.from([i]));
+
+    it('should skip blocks uploaded before without checking them again', async () => {
+      global.fetch = jest.fn((url) => Promise.resolve({ status: url.endsWith(cidToString(blocks[0].cid)) ? 200 : 404 }));
+      const cidCache = fileCIDCache(path.join(process.env.XDG_CACHE_HOME, 'test.txt'));
+      const signAndSendTransaction = jest.fn(async () => {});
+
+      await uploadBlocks(blocks, { signAndSendTransaction, log: () => {}, timeout: 1000, retryCount: 1, cidCache });
+      expect(signAndSendTransaction).toHaveBeenCalledTimes(1);
+      expect([...await cidCache.load()].sort()).toEqual(blocks.map(({ cid }) => cidToString(cid)).sort());
+
+      global.fetch.mockClear();
+      signAndSendTransaction.mockClear();
+      const result = await uploadBlocks(blocks, { signAndSendTransaction, log: () => {}, timeout: 1000, retryCount: 1, cidCache });
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(signAndSendTransaction).not.toHaveBeenCalled();
+      expect(result.existingBlocks).toBe(3);
+    });
+
+    it('should not update cache in dry run', async () => {
+      global.fetch = jest.fn(() => Promise.resolve({ status: 200 }));
+      const cidCache = fileCIDCache(path.join(process.env.XDG_CACHE_HOME, 'test.txt'));
+
+      await uploadBlocks(blocks, { log: () => {}, timeout: 1000, retryCount: 1, cidCache, dryRun: true });
+
+      expect((await cidCache.load()).size).toBe(0);
+    });
+
+    it('should keep separate cache per gateway', () => {
+      expect(cidCachePath('https://ipfs.web4.testnet.page', '/cache')).toBe('/cache/ipfs.web4.testnet.page.txt');
+      expect(cidCachePath('https://ipfs.web4.near.page', '/cache')).toBe('/cache/ipfs.web4.near.page.txt');
+      expect(cidCachePath('http://localhost:8080', '/cache')).toBe('/cache/localhost_8080.txt');
+    });
+  });
+
   describe('CLI Integration Tests', () => {
     it('should display help when --help flag is used', async () => {
       const result = await runCLI(['--help']);
@@ -420,10 +2199,38 @@ describe('NEARFS Uploader', () => {
       ]);
       
       expect(result.success).toBe(false);
-      expect(result.code).toBe(1);
+      expect(result.code).toBe(EXIT_CODES.credentials);
       expect(result.stderr).toContain('Missing credentials');
     });
 
+    it('should print error as JSON with --json', async () => {
+      const result = await runCLI(['package.json', '--network', 'testnet', '--json']);
+
+      expect(result.code).toBe(EXIT_CODES.credentials);
+      expect(JSON.parse(result.stdout)).toEqual({
+        error: expect.stringContaining('Missing credentials'),
+        code: 'MISSING_CREDENTIALS',
+        exitCode: EXIT_CODES.credentials
+      });
+    });
+
+    it('should only print JSON result to stdout with --json', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nearfs-upload-'));
+      const outPath = path.join(dir, 'out.car');
+
+      const result = await runCLI(['test/data', '--export-car', outPath, '--json']);
+
+      expect(result.success).toBe(true);
+      expect(JSON.parse(result.stdout)).toEqual({ rootCid: expect.stringMatching(/^bafybei/), rootCids: [expect.any(String)] });
+      expect(result.stderr).toContain(`CAR file written to: ${outPath}`);
+
+      const quietResult = await runCLI(['test/data', '--export-car', path.join(dir, 'quiet.car'), '--json', '--quiet']);
+      expect(quietResult.stderr).toBe('');
+      expect(JSON.parse(quietResult.stdout)).toEqual(JSON.parse(result.stdout));
+
+      await fs.rm(dir, { recursive: true });
+    });
+
     it('should handle invalid network', async () => {
       const result = await runCLI([
         'package.json', 
@@ -444,6 +2251,47 @@ describe('NEARFS Uploader', () => {
       expect(result.stdout).toContain('Usage: nearfs-upload');
     });
 
+    it('should export CAR file without credentials', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nearfs-upload-'));
+      const outPath = path.join(dir, 'out.car');
+
+      const result = await runCLI(['test/data', '--export-car', outPath]);
+
+      expect(result.success).toBe(true);
+      expect(result.stdout).toContain(`CAR file written to: ${outPath}`);
+      const carBuffer = await fs.readFile(outPath);
+      global.fetch = () => Promise.resolve({ status: 404 });
+      const rootCid = result.stdout.match(/Root CID: (\w+)/)[1];
+      const roots = await uploadCAR(carBuffer, { signAndSendTransaction: async () => {}, log: () => {} });
+      expect(roots).toEqual([rootCid]);
+
+      await fs.rm(dir, { recursive: true });
+    });
+
+    it('should deploy to account contract in dry run without --web4-contract', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nearfs-upload-'));
+      await fs.writeFile(path.join(dir, 'index.html'), '<h1>Hi</h1>');
+
+      // Nothing listens on the gateway port, so every block is treated as new
+      const result = await runCLI(['deploy', dir, '--account-id', 'app.testnet', '--network', 'testnet', '--gateway-url', 'http://127.0.0.1:59999', '--dry-run']);
+
+      expect(result.stderr).not.toContain('Missing web4 contract');
+      expect(result.success).toBe(true);
+      expect(result.stdout).toMatch(/Would call app\.testnet\.web4_setStaticUrl with ipfs:\/\/bafybei\w+/);
+
+      await fs.rm(dir, { recursive: true });
+    });
+
+    it('should clear CID cache', async () => {
+      const cachePath = cidCachePath('https://ipfs.web4.testnet.page', path.join(process.env.XDG_CACHE_HOME, 'nearfs-upload'));
+      await fileCIDCache(cachePath).add(['bafkreiexample']);
+
+      const result = await runCLI(['cache', 'clear']);
+
+      expect(result.success).toBe(true);
+      await expect(fs.access(cachePath)).rejects.toThrow();
+    });
+
     it('should test environment variable fallback', async () => {
       const result = await runCLI(['package.json'], {
         env: {
@@ -0,0 +1,877 @@
+import { cidToString, packCID, writePBNode, CODEC_RAW, CODEC_DAG_PB } from 'fast-ipfs';
+import sha256 from 'js-sha256';
+import { readCARFile, writeVarint, writeCARHeader, writeCARBlock } from './car.js';
+import { HAMT_FANOUT, HAMT_HASH_TYPE, hamtBucket, writeHAMTBitfield, hamtLinkPrefix } from './hamt.js';
+
+const computeHash = (data) => Buffer.from(sha256.arrayBuffer(data));
+
+// Limits used to pack blocks into transactions, per network as protocol parameters can differ between them.
+// See max_transaction_size, max_total_prepaid_gas and max_actions_per_receipt in
+// https://github.com/near/nearcore/blob/master/core/parameters/res/runtime_configs/parameters.yaml
+// and gas_limit of a chunk in genesis config.
+const MAINNET_LIMITS = {
+    maxTransactionBytes: 1536 * 1024,
+    // Sum of gas attached to function calls of one transaction
+    maxTransactionGas: 300000000000000,
+    // Attached gas and fees of one transaction have to fit into a single chunk
+    maxBlockGas: 1000000000000000,
+    maxActions: 100,
+    // Gas attached to fs_store call is fsStoreBaseGas plus fsStoreGasPerByte for every byte of the block
+    fsStoreBaseGas: 10000000000000,
+    fsStoreGasPerByte: 20000000,
+};
+const NETWORK_LIMITS = {
+    mainnet: MAINNET_LIMITS,
+    testnet: MAINNET_LIMITS,
+};
+
+const DEFAULT_OPTIONS = {
+    log: console.log,
+    // Per-block details (CIDs, directory tree), go to log when not set
+    debug: null,
+    statusCallback: ({ currentBlocks, totalBlocks }) => {},
+    // Called with summary of every uploadBlocks call, including transaction hashes
+    summaryCallback: (summary) => {},
+    // Called with { name, cid } for every file and symlink added by generateBlocks
+    fileCallback: ({ name, cid }) => {},
+    timeout: 2500,
+    retryCount: 3,
+    gatewayUrl: 'https://ipfs.web4.near.page',
+    signAndSendTransaction: async () => { throw new Error('signAndSendTransaction not implemented'); },
+    // Same defaults as `ipfs add --cid-version=1 --raw-leaves`
+    chunkSize: 256 * 1024,
+    maxLinks: 174,
+    // Directories are sharded when sum of link name and CID lengths reaches this many bytes, same as kubo
+    shardSplitThreshold: 256 * 1024,
+    // Blocks are checked and uploaded in windows to keep memory usage bounded
+    maxWindowBlocks: 1000,
+    maxWindowBytes: 8 * 1024 * 1024,
+    // Only check which blocks need to be uploaded and estimate cost, don't send any transactions
+    dryRun: false,
+    // Minimum NEAR gas price in yoctoNEAR, used for cost estimates
+    gasPrice: 100000000,
+    // Transaction size and gas limits used to split blocks into transactions, see NETWORK_LIMITS
+    limits: MAINNET_LIMITS,
+    // Optional { load, append, clear } store to record progress, see fileCheckpoint
+    checkpoint: null,
+    // Optional { load, add, clear } store of CIDs known to be uploaded, shared between uploads, see fileCIDCache
+    cidCache: null,
+    // Failed transactions are retried with exponential backoff if isRetryableError returns true
+    transactionRetryCount: 5,
+    transactionRetryDelay: 1000,
+    transactionMaxRetryDelay: 30000,
+    isRetryableError: isRetryableNearError,
+    // Number of transactions in flight at once, signAndSendTransaction must support concurrent calls
+    concurrency: 1,
+    // How many of them can only have a single block, e.g. ones signed with function call access keys
+    singleBlockConcurrency: 0,
+    // Decides which blocks are already uploaded, see gatewayExistenceCheck
+    existenceCheck: gatewayExistenceCheck,
+    existenceCheckConcurrency: 10,
+    // Limit on total time spent checking blocks during upload, blocks not checked in time are uploaded again
+    existenceCheckTimeLimit: 120000,
+    // Downloading blocks from the gateway, see fetchDAG
+    fetchConcurrency: 10,
+    fetchTimeout: 30000,
+};
+
+// Approximate NEAR protocol fees (send + execution), used for cost estimates.
+// See https://github.com/near/nearcore/blob/master/core/parameters/res/runtime_configs/parameters.yaml
+const GAS_PER_TRANSACTION = 2 * 108059500000;
+const GAS_PER_FUNCTION_CALL = 200000000000 + 780000000000;
+const GAS_PER_ARGS_BYTE = 2 * 2235934;
+// Borsh encoded signed transaction without actions (account IDs are up to 64 bytes) and
+// function call action without args, rounded up
+const TRANSACTION_OVERHEAD_BYTES = 512;
+const ACTION_OVERHEAD_BYTES = 64;
+const YOCTO_PER_NEAR = 1e24;
+
+
+const UNIXFS_RAW = 0;
+const UNIXFS_DIRECTORY = 1;
+const UNIXFS_FILE = 2;
+const UNIXFS_SYMLINK = 4;
+const UNIXFS_HAMT_SHARD = 5;
+
+// Default modes aren't stored, same as in js-ipfs-unixfs
+const UNIXFS_DEFAULT_FILE_MODE = 0o644;
+const UNIXFS_DEFAULT_DIRECTORY_MODE = 0o755;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function isAlreadyUploaded(cid, options = DEFAULT_OPTIONS) {
+    const { log, timeout, retryCount, gatewayUrl } = options;
+    const cid32 = cidToString(cid);
+    const urlToCheck = `${gatewayUrl}/ipfs/${cid32}`;
+    for (let i = 0; i < retryCount; i++) {
+        try {
+            const res = await fetch(urlToCheck, { method: 'HEAD', signal: AbortSignal.timeout(timeout) });
+            if (res.status === 200) {
+                log('Block', cid32, 'already exists on chain, skipping');
+                return true;
+            }
+
+            // Overloaded gateway only makes the block uploaded again, so check is retried and then given up
+            if (RETRYABLE_HTTP_STATUSES.includes(res.status)) {
+                log(`Status ${res.status} while checking`, urlToCheck);
+                if (i + 1 < retryCount) {
+                    await sleep(250 * 2 ** i);
+                }
+                continue;
+            }
+            if (res.status !== 404) {
+                throw new Error(`Unexpected status code ${res.status} for ${urlToCheck}`);
+            }
+        } catch (e) {
+            if (e.name === 'AbortError' || e.name === 'TimeoutError') {
+                log('Timeout while checking', urlToCheck);
+                continue;
+            }
+            if (RETRYABLE_NETWORK_ERROR_CODES.includes(e.cause?.code)) {
+                log('Error while checking', urlToCheck, e.cause.code);
+                continue;
+            }
+            throw e;
+        }
+    }
+
+    return false;
+}
+
+// Gas to attach to fs_store call with given block data
+function fsStoreGas(data, limits = DEFAULT_OPTIONS.limits) {
+    const { fsStoreBaseGas, fsStoreGasPerByte } = { ...DEFAULT_OPTIONS.limits, ...limits };
+    return fsStoreBaseGas + fsStoreGasPerByte * data.length;
+}
+
+// Packs blocks into as few transactions as possible, keeping their order.
+// Next block goes to a new transaction only when adding it to the current one would go over one of the limits.
+function splitOnBatches(newBlocks, limits = DEFAULT_OPTIONS.limits) {
+    limits = { ...DEFAULT_OPTIONS.limits, ...limits };
+    const { maxTransactionBytes, maxTransactionGas, maxBlockGas, maxActions } = limits;
+    const batches = [];
+    let currentBatch = null;
+    let bytes, attachedGas, burntGas;
+    for (let { data } of newBlocks) {
+        const blockBytes = ACTION_OVERHEAD_BYTES + data.length;
+        const blockAttachedGas = fsStoreGas(data, limits);
+        const blockBurntGas = GAS_PER_FUNCTION_CALL + GAS_PER_ARGS_BYTE * data.length;
+
+        const fits = currentBatch &&
+            currentBatch.length < maxActions &&
+            bytes + blockBytes <= maxTransactionBytes &&
+            attachedGas + blockAttachedGas <= maxTransactionGas &&
+            burntGas + attachedGas + blockBurntGas + blockAttachedGas <= maxBlockGas;
+        if (!fits) {
+            currentBatch = [];
+            batches.push(currentBatch);
+            bytes = TRANSACTION_OVERHEAD_BYTES;
+            attachedGas = 0;
+            burntGas = GAS_PER_TRANSACTION;
+            if (bytes + blockBytes > maxTransactionBytes || blockAttachedGas > maxTransactionGas ||
+                burntGas + blockBurntGas + blockAttachedGas > maxBlockGas) {
+                throw new Error(`Block of ${data.length} bytes doesn't fit into a single transaction`);
+            }
+        }
+
+        currentBatch.push(data);
+        bytes += blockBytes;
+        attachedGas += blockAttachedGas;
+        burntGas += blockBurntGas;
+    }
+    return batches;
+}
+
+// Groups incoming blocks so that only a bounded amount of data is held in memory at once
+async function* readWindows(blocks, options = DEFAULT_OPTIONS) {
+    const { maxWindowBlocks, maxWindowBytes } = { ...DEFAULT_OPTIONS, ...options };
+    let window = [];
+    let windowBytes = 0;
+    for await (const block of blocks) {
+        window.push(block);
+        windowBytes += block.data.length;
+        if (window.length >= maxWindowBlocks || windowBytes >= maxWindowBytes) {
+            yield window;
+            window = [];
+            windowBytes = 0;
+        }
+    }
+    if (window.length > 0) {
+        yield window;
+    }
+}
+
+function estimateGas(batch) {
+    return GAS_PER_TRANSACTION + batch.reduce((a, data) => a + GAS_PER_FUNCTION_CALL + GAS_PER_ARGS_BYTE * data.length, 0);
+}
+
+// Stops picking up new items after first failure, items already in progress are allowed to finish
+async function mapConcurrently(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let failed = false;
+    async function worker() {
+        while (!failed && nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = await fn(items[index]);
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+    return results;
+}
+
+// Existence check strategies take CIDs and resolve to an array of booleans, true if block is already uploaded.
+// Checks are only an optimization: block treated as new is uploaded again, which just costs more gas.
+
+// Sends HEAD request to the gateway for every block, at most existenceCheckConcurrency at once
+async function gatewayExistenceCheck(cids, options = DEFAULT_OPTIONS) {
+    const { existenceCheckConcurrency, signal } = { ...DEFAULT_OPTIONS, ...options };
+    return mapConcurrently(cids, existenceCheckConcurrency, async (cid) => !signal?.aborted && await isAlreadyUploaded(cid, options));
+}
+
+// Blocks in knownCids (set of CID strings) are treated as uploaded without any requests, other ones are checked with fallback
+function cachedExistenceCheck(knownCids, fallback = gatewayExistenceCheck) {
+    return async (cids, options) => {
+        const unknownCids = cids.filter(cid => !knownCids.has(cidToString(cid)));
+        const unknownResults = fallback ? await fallback(unknownCids, options) : unknownCids.map(() => false);
+        let unknownIndex = 0;
+        return cids.map(cid => knownCids.has(cidToString(cid)) || unknownResults[unknownIndex++]);
+    };
+}
+
+// Looks up many blocks at once in an indexer or similar service. lookup gets up to batchSize CID strings
+// and resolves to the ones which are uploaded, blocks of failed lookups are treated as new.
+// NEAR RPC can't do this, blocks are only kept as fs_store arguments in transactions.
+function indexerExistenceCheck(lookup, { batchSize = 100 } = {}) {
+    return async (cids, options) => {
+        const { log, existenceCheckConcurrency, signal } = { ...DEFAULT_OPTIONS, ...options };
+        const batches = [];
+        for (let i = 0; i < cids.length; i += batchSize) {
+            batches.push(cids.slice(i, i + batchSize).map(cid => cidToString(cid)));
+        }
+        const results = await mapConcurrently(batches, existenceCheckConcurrency, async (batch) => {
+            if (signal?.aborted) {
+                return batch.map(() => false);
+            }
+            try {
+                const uploaded = new Set(await lookup(batch));
+                return batch.map(cid => uploaded.has(cid));
+            } catch (error) {
+                log('Existence lookup failed, treating blocks as new:', error.message);
+                return batch.map(() => false);
+            }
+        });
+        return results.flat();
+    };
+}
+
+// Blocks which couldn't be checked before signal is aborted are treated as new
+async function checkExistence(cids, options) {
+    const { log, existenceCheck, signal } = options;
+    if (cids.length === 0) {
+        return [];
+    }
+
+    const notChecked = () => cids.map(() => false);
+    if (signal.aborted) {
+        return notChecked();
+    }
+
+    let onAbort;
+    const timedOut = new Promise(resolve => {
+        onAbort = () => {
+            log('Existence check time limit reached, treating remaining blocks as new');
+            resolve(notChecked());
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+    try {
+        return await Promise.race([existenceCheck(cids, options), timedOut]);
+    } finally {
+        signal.removeEventListener('abort', onAbort);
+    }
+}
+
+async function sendWithRetry(batch, options) {
+    const { log, signAndSendTransaction, transactionRetryCount, transactionRetryDelay, transactionMaxRetryDelay, isRetryableError } = options;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await signAndSendTransaction(batch);
+        } catch (error) {
+            if (!isRetryableError(error)) {
+                throw fatalNearError(error);
+            }
+            if (attempt >= transactionRetryCount) {
+                throw new Error(`Transaction failed after ${attempt + 1} attempts: ${error.message}`, { cause: error });
+            }
+
+            // Jitter avoids retrying in lockstep with other uploads hitting the same RPC
+            const delay = Math.min(transactionMaxRetryDelay, transactionRetryDelay * 2 ** attempt) * (0.5 + Math.random() / 2);
+            log(`Transaction failed (${error.type || error.message}), retrying in ${Math.round(delay)}ms`);
+            await sleep(delay);
+        }
+    }
+}
+
+// Returns summary of the upload plan, with dryRun option nothing is sent
+async function uploadBlocks(blocks, options = DEFAULT_OPTIONS) {
+    const { log, statusCallback, summaryCallback, dryRun, gasPrice, limits, checkpoint, concurrency, singleBlockConcurrency, cidCache } = { ...DEFAULT_OPTIONS, ...options };
+    const { maxActions } = { ...DEFAULT_OPTIONS.limits, ...limits };
+
+    // Blocks known from previous interrupted upload don't need to be checked again
+    const entries = checkpoint && !dryRun ? await checkpoint.load() : [];
+    const doneBatchIds = new Set(entries.filter(({ type }) => type === 'done').map(({ id }) => id));
+    const knownExisting = new Set(entries.flatMap(({ type, id, cids }) =>
+        type === 'existing' || (type === 'batch' && doneBatchIds.has(id)) ? cids : []));
+    const knownNew = new Set(entries.flatMap(({ type, id, cids }) =>
+        type === 'batch' && !doneBatchIds.has(id) ? cids : []));
+    let nextBatchId = entries.reduce((a, { type, id }) => type === 'batch' ? Math.max(a, id + 1) : a, 0);
+
+    const checkOptions = { ...DEFAULT_OPTIONS, ...options };
+    // Only time spent checking counts against the limit, not time spent sending transactions of previous windows
+    let checkTimeLeft = checkOptions.existenceCheckTimeLimit;
+    const cachedCids = cidCache ? await cidCache.load() : null;
+    if (cachedCids) {
+        checkOptions.existenceCheck = cachedExistenceCheck(cachedCids, checkOptions.existenceCheck);
+    }
+    const addToCache = async (cids) => {
+        cids = cids.filter(cid => !cachedCids.has(cid));
+        if (cids.length > 0) {
+            cids.forEach(cid => cachedCids.add(cid));
+            await cidCache.add(cids);
+        }
+    };
+    let totalBlocks = 0;
+    let currentBlocks = 0;
+    const plan = { blocks: 0, newBlocks: 0, existingBlocks: 0, bytes: 0, newBytes: 0, transactions: 0, estimatedGas: 0 };
+    const transactionHashes = [];
+
+    for await (const window of readWindows(blocks, options)) {
+        const isKnown = ({ cid }) => knownExisting.has(cidToString(cid)) || knownNew.has(cidToString(cid));
+        const uncheckedBlocks = window.filter(block => !isKnown(block));
+        checkOptions.signal = checkTimeLeft > 0 ? AbortSignal.timeout(checkTimeLeft) : AbortSignal.abort();
+        const checkStart = Date.now();
+        const uploaded = await checkExistence(uncheckedBlocks.map(({ cid }) => cid), checkOptions);
+        checkTimeLeft -= Date.now() - checkStart;
+        let checkedIndex = 0;
+        const blocksAndStatus = window.map(({ data, cid }) => isKnown({ cid })
+            ? { data, cid, uploaded: knownExisting.has(cidToString(cid)), known: true }
+            : { data, cid, uploaded: uploaded[checkedIndex++] });
+        const filteredBlocks = blocksAndStatus.filter(({ uploaded }) => !uploaded);
+        const batches = splitOnBatches(filteredBlocks, limits);
+
+        totalBlocks += filteredBlocks.length;
+        plan.blocks += window.length;
+        plan.newBlocks += filteredBlocks.length;
+        plan.existingBlocks += window.length - filteredBlocks.length;
+        plan.bytes += window.reduce((a, b) => a + b.data.length, 0);
+        plan.newBytes += filteredBlocks.reduce((a, b) => a + b.data.length, 0);
+        plan.transactions += batches.length;
+        plan.estimatedGas += batches.reduce((a, batch) => a + estimateGas(batch), 0);
+
+        if (dryRun) {
+            continue;
+        }
+
+        const existingCids = blocksAndStatus.filter(({ uploaded, known }) => uploaded && !known).map(({ cid }) => cidToString(cid));
+        if (checkpoint && existingCids.length > 0) {
+            await checkpoint.append({ type: 'existing', cids: existingCids });
+        }
+        if (cidCache) {
+            await addToCache(blocksAndStatus.filter(({ uploaded }) => uploaded).map(({ cid }) => cidToString(cid)));
+        }
+
+        // Batches are packed when a key is free to send them, so that keys which can only send one block
+        // at a time (function call access keys) take single blocks and the rest take full transactions
+        const queue = [...filteredBlocks];
+        let failed = false;
+        const sendBatches = async (singleBlock) => {
+            while (!failed && queue.length > 0) {
+                const [batch] = splitOnBatches(queue.slice(0, singleBlock ? 1 : maxActions), limits);
+                const cids = queue.splice(0, batch.length).map(({ cid }) => cidToString(cid));
+                const id = nextBatchId++;
+                let result;
+                try {
+                    if (checkpoint) {
+                        await checkpoint.append({ type: 'batch', id, cids });
+                    }
+                    result = await sendWithRetry(batch, { ...DEFAULT_OPTIONS, ...options });
+                } catch (error) {
+                    failed = true;
+                    throw error;
+                }
+                const transactionHash = result?.transaction_outcome?.id ?? null;
+                if (transactionHash) {
+                    transactionHashes.push(transactionHash);
+                }
+                if (checkpoint) {
+                    await checkpoint.append({ type: 'done', id, transactionHash });
+                }
+                if (cidCache) {
+                    await addToCache(cids);
+                }
+
+                currentBlocks += batch.length;
+                log(`Uploaded ${currentBlocks} / ${totalBlocks} blocks to NEARFS`);
+                statusCallback({ currentBlocks, totalBlocks });
+            }
+        };
+        await Promise.all(Array.from({ length: concurrency }, (_, i) => sendBatches(i < singleBlockConcurrency)));
+    }
+
+    const summary = { ...plan, estimatedCost: plan.estimatedGas * gasPrice / YOCTO_PER_NEAR, transactionHashes };
+    summaryCallback(summary);
+    return summary;
+}
+
+// mtime is { secs, nsecs } with nanoseconds being optional
+function writeUnixTime({ secs, nsecs }) {
+    if (secs < 0) {
+        throw new Error('mtime before 1970 is not supported');
+    }
+    const fractionalNanoseconds = Buffer.alloc(4);
+    fractionalNanoseconds.writeUInt32LE(nsecs || 0);
+    return Buffer.concat([
+        Buffer.from([0x08]), writeVarint(Number(secs)),
+        ...(nsecs ? [Buffer.from([0x15]), fractionalNanoseconds] : []),
+    ]);
+}
+
+// fast-ipfs has no UnixFS writer
+// See https://github.com/ipfs/specs/blob/main/UNIXFS.md#data-format
+function writeUnixFSData({ type, data, fileSize, blockSizes = [], hashType, fanout, mode, mtime }) {
+    const isDirectory = type === UNIXFS_DIRECTORY || type === UNIXFS_HAMT_SHARD;
+    if (mode === (isDirectory ? UNIXFS_DEFAULT_DIRECTORY_MODE : UNIXFS_DEFAULT_FILE_MODE)) {
+        mode = undefined;
+    }
+    const unixTime = mtime !== undefined ? writeUnixTime(mtime) : undefined;
+
+    return Buffer.concat([
+        Buffer.from([0x08]), writeVarint(type),
+        ...(data !== undefined ? [Buffer.from([0x12]), writeVarint(data.length), data] : []),
+        ...(fileSize !== undefined ? [Buffer.from([0x18]), writeVarint(fileSize)] : []),
+        ...blockSizes.flatMap(blockSize => [Buffer.from([0x20]), writeVarint(blockSize)]),
+        ...(hashType !== undefined ? [Buffer.from([0x28]), writeVarint(hashType)] : []),
+        ...(fanout !== undefined ? [Buffer.from([0x30]), writeVarint(fanout)] : []),
+        ...(mode !== undefined ? [Buffer.from([0x38]), writeVarint(mode)] : []),
+        ...(unixTime !== undefined ? [Buffer.from([0x42]), writeVarint(unixTime.length), unixTime] : []),
+    ]);
+}
+
+const toBuffer = (data) => Buffer.isBuffer(data) ? data : Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+
+// Splits content (Uint8Array or AsyncIterable<Uint8Array>) into chunks of exactly chunkSize bytes (except the last one)
+async function* readChunks(content, chunkSize) {
+    if (content instanceof Uint8Array) {
+        const buffer = toBuffer(content);
+        let offset = 0;
+        do {
+            yield buffer.subarray(offset, offset + chunkSize);
+            offset += chunkSize;
+        } while (offset < buffer.length);
+        return;
+    }
+
+    let pending = Buffer.alloc(0);
+    let isEmpty = true;
+    for await (const data of content) {
+        pending = pending.length > 0 ? Buffer.concat([pending, toBuffer(data)]) : toBuffer(data);
+        while (pending.length >= chunkSize) {
+            yield pending.subarray(0, chunkSize);
+            pending = pending.subarray(chunkSize);
+            isEmpty = false;
+        }
+    }
+    if (pending.length > 0 || isEmpty) {
+        yield pending;
+    }
+}
+
+// Builds balanced file DAG with raw leaves, same as kubo's default importer.
+// Yields blocks as soon as they are complete and returns { cid, size, fileSize } for the root,
+// where size is cumulative size of all blocks (Tsize).
+// mode and mtime options are stored as UnixFS metadata.
+async function* generateFileBlocks(content, options = DEFAULT_OPTIONS) {
+    const { chunkSize, maxLinks, mode, mtime } = { ...DEFAULT_OPTIONS, ...options };
+    const hasMetadata = mode !== undefined || mtime !== undefined;
+
+    // Metadata is stored in every file node, same as js-ipfs-unixfs-importer does
+    function fileNode(children) {
+        const blockSizes = children.map(({ fileSize }) => fileSize);
+        const fileSize = blockSizes.reduce((a, b) => a + b, 0);
+        const data = writePBNode({
+            links: children.map(({ cid, size }) => ({ cid, name: '', size })),
+            data: writeUnixFSData({ type: UNIXFS_FILE, fileSize, blockSizes, mode, mtime }),
+        });
+        const cid = packCID({ hash: computeHash(data), version: 1, codec: CODEC_DAG_PB });
+        return { block: { data, cid }, node: { cid, size: data.length + children.reduce((a, b) => a + b.size, 0), fileSize } };
+    }
+
+    // levels[i] holds nodes at depth i which don't have a parent yet
+    const levels = [[]];
+    function* addLeaf(data) {
+        const cid = packCID({ hash: computeHash(data), version: 1, codec: CODEC_RAW });
+        yield { data, cid };
+        levels[0].push({ cid, size: data.length, fileSize: data.length });
+
+        for (let i = 0; levels[i].length === maxLinks; i++) {
+            const { block, node } = fileNode(levels[i]);
+            yield block;
+            levels[i] = [];
+            levels[i + 1] = [...(levels[i + 1] || []), node];
+        }
+    }
+
+    // Raw leaf can't have metadata, so single chunk file with metadata is stored inline in file node instead
+    let firstChunk = null;
+    let chunkCount = 0;
+    for await (const data of readChunks(content, chunkSize)) {
+        chunkCount++;
+        if (hasMetadata && chunkCount === 1) {
+            firstChunk = data;
+            continue;
+        }
+        if (firstChunk) {
+            yield* addLeaf(firstChunk);
+            firstChunk = null;
+        }
+        yield* addLeaf(data);
+    }
+
+    if (firstChunk) {
+        const data = writePBNode({
+            data: writeUnixFSData({ type: UNIXFS_FILE, data: firstChunk.length > 0 ? firstChunk : undefined, fileSize: firstChunk.length, mode, mtime }),
+        });
+        const cid = packCID({ hash: computeHash(data), version: 1, codec: CODEC_DAG_PB });
+        yield { data, cid };
+        return { cid, size: data.length, fileSize: firstChunk.length };
+    }
+
+    for (let i = 0; ; i++) {
+        const isTopLevel = levels.slice(i + 1).every(level => level.length === 0);
+        if (isTopLevel && levels[i].length === 1) {
+            return levels[i][0];
+        }
+        if (levels[i].length > 0) {
+            const { block, node } = fileNode(levels[i]);
+            yield block;
+            levels[i] = [];
+            levels[i + 1] = [...(levels[i + 1] || []), node];
+        }
+    }
+}
+
+// Yields all blocks for given files and returns root CID
+async function* generateBlocks(files, options = DEFAULT_OPTIONS) {
+    const { log, shardSplitThreshold, fileCallback } = { ...DEFAULT_OPTIONS, ...options };
+    const debug = options.debug || log;
+
+    const rootDir = { name: '', links: [] };
+    const seenCids = new Set();
+    const isNew = ({ cid }) => {
+        // Identical chunks and files only need to be stored once
+        const key = cid.toString('hex');
+        if (seenCids.has(key)) {
+            return false;
+        }
+        seenCids.add(key);
+        debug('block', cidToString(cid));
+        return true;
+    };
+
+    // Files can also be { name, type: 'directory' } to add empty directories or directory metadata
+    // and { name, type: 'symlink', target } for symlinks. Empty name stands for root directory.
+    for await (let { name, type = 'file', content, target, mode, mtime } of files) {
+        const path = name === '' && type === 'directory' ? [] : name.split('/');
+        if (path.some(segment => segment === '')) {
+            throw new Error(`Invalid path: ${name}`);
+        }
+
+        let dir = rootDir;
+        const dirsCount = type === 'directory' ? path.length : path.length - 1;
+        for (let i = 0; i < dirsCount; i++) {
+            const dirName = path[i];
+            let dirEntry = dir.links.find(({name}) => name === dirName);
+            if (!dirEntry) {
+                dirEntry = { name: dirName, links: [] };
+                dir.links.push(dirEntry);
+            }
+            if (!dirEntry.links) {
+                throw new Error(`Conflicting paths: ${path.slice(0, i + 1).join('/')} is both a file and a directory`);
+            }
+            dir = dirEntry;
+        }
+
+        if (type === 'directory') {
+            Object.assign(dir, { mode, mtime });
+            continue;
+        }
+
+        const fileName = path[path.length - 1];
+        const existingEntry = dir.links.find(({ name }) => name === fileName);
+        if (existingEntry) {
+            throw new Error(existingEntry.links ? `Conflicting paths: ${name} is both a file and a directory` : `Duplicate path: ${name}`);
+        }
+
+        if (type === 'symlink') {
+            const pbNode = writePBNode({ data: writeUnixFSData({ type: UNIXFS_SYMLINK, data: Buffer.from(target), mode, mtime }) });
+            const cid = yield* addBlock(pbNode);
+            dir.links.push({ name: fileName, cid, size: pbNode.length });
+            fileCallback({ name, cid });
+            continue;
+        }
+        if (type !== 'file') {
+            throw new Error(`Unsupported type ${type} for ${name}`);
+        }
+
+        const fileBlocks = generateFileBlocks(content, { ...options, mode, mtime });
+        let result;
+        while (!(result = await fileBlocks.next()).done) {
+            if (isNew(result.value)) {
+                yield result.value;
+            }
+        }
+        const { cid, size } = result.value;
+        const fileEntry = { name: fileName, cid, size };
+        dir.links.push(fileEntry);
+        fileCallback({ name, cid });
+    }
+
+    function* addBlock(pbNode) {
+        const hash = computeHash(pbNode);
+        const cid = packCID({ hash, version: 1, codec: CODEC_DAG_PB });
+        if (isNew({ cid })) {
+            yield { data: pbNode, cid };
+        }
+        return cid;
+    }
+
+    // Tsize of a link is the size of whole DAG under it
+    const cumulativeSize = (pbNode, links) => links.reduce((a, { size }) => a + size, pbNode.length);
+
+    function* addBlocksForShard(bucket, metadata = {}) {
+        const links = [];
+        for (let { index, link, bucket: subBucket } of bucket) {
+            if (subBucket) {
+                const { cid, size } = yield* addBlocksForShard(subBucket);
+                links.push({ name: hamtLinkPrefix(index), cid, size });
+            } else {
+                links.push({ ...link, name: hamtLinkPrefix(index) + link.name });
+            }
+        }
+        const pbNode = writePBNode({
+            links,
+            data: writeUnixFSData({
+                type: UNIXFS_HAMT_SHARD,
+                data: writeHAMTBitfield(bucket.map(({ index }) => index)),
+                hashType: HAMT_HASH_TYPE,
+                fanout: HAMT_FANOUT,
+                ...metadata
+            })
+        });
+        const cid = yield* addBlock(pbNode);
+        return { cid, size: cumulativeSize(pbNode, links) };
+    }
+
+    function* addBlocksForDir(dir) {
+        // Links are sorted bytewise like in kubo, so that CID doesn't depend on order of files
+        dir.links.sort((a, b) => Buffer.compare(Buffer.from(a.name), Buffer.from(b.name)));
+
+        for (let entry of dir.links) {
+            if (!entry.cid) {
+                Object.assign(entry, yield* addBlocksForDir(entry));
+            }
+        }
+
+        // Same estimate as kubo uses, actual node size also includes Tsize and protobuf overhead
+        const estimatedSize = dir.links.reduce((a, { name, cid }) => a + Buffer.byteLength(name) + cid.length, 0);
+        if (estimatedSize >= shardSplitThreshold) {
+            // Only the top shard node has metadata of the directory
+            return yield* addBlocksForShard(hamtBucket(dir.links), { mode: dir.mode, mtime: dir.mtime });
+        }
+
+        const pbNode = writePBNode({
+            links: dir.links,
+            data: writeUnixFSData({ type: UNIXFS_DIRECTORY, mode: dir.mode, mtime: dir.mtime })
+        });
+        const cid = yield* addBlock(pbNode);
+        return { cid, size: cumulativeSize(pbNode, dir.links) };
+    }
+
+    debug('rootDir', rootDir);
+    const { cid: rootCid } = yield* addBlocksForDir(rootDir);
+    debug('rootCid', cidToString(rootCid));
+    return rootCid;
+}
+
+// Returns root CID, or upload plan including root CID with dryRun option
+export async function uploadFiles(files, options = DEFAULT_OPTIONS) {
+    let rootCid;
+    async function* blocks() {
+        rootCid = yield* generateBlocks(files, options);
+    }
+
+    const plan = await uploadBlocks(blocks(), options);
+
+    if (options.dryRun) {
+        return { rootCid: cidToString(rootCid), ...plan };
+    }
+    return cidToString(rootCid);
+}
+
+// Builds CARv1 with all blocks for given files, doesn't need network or credentials
+export async function buildCAR(files, options = DEFAULT_OPTIONS) {
+    const sections = [];
+    let rootCid;
+    async function* blocks() {
+        rootCid = yield* generateBlocks(files, options);
+    }
+
+    for await (const block of blocks()) {
+        sections.push(writeCARBlock(block));
+    }
+
+    return Buffer.concat([writeCARHeader([rootCid]), ...sections]);
+}
+
+// Returns root CIDs from CAR header, or upload plan including root CIDs with dryRun option
+export async function uploadCAR(carBuffer, options = DEFAULT_OPTIONS) {
+    const { log } = options;
+
+    log('Uploading CAR file to NEAR File System...');
+
+    // Throws before anything is checked or uploaded if any block is corrupt
+    const { roots, blocks } = readCARFile(carBuffer);
+    const plan = await uploadBlocks(blocks, options);
+
+    if (options.dryRun) {
+        return { rootCid: roots[0], rootCids: roots, ...plan };
+    }
+    return roots;
+}
+
+async function blocksToUpload(carBuffer, options = DEFAULT_OPTIONS) {
+    const { blocks } = readCARFile(carBuffer);
+    const checkOptions = { ...DEFAULT_OPTIONS, ...options };
+    checkOptions.signal = AbortSignal.timeout(checkOptions.existenceCheckTimeLimit);
+    const uploaded = await checkExistence(blocks.map(({ cid }) => cid), checkOptions);
+    return blocks.map(({ data, cid }, i) => ({ data, cid, uploaded: uploaded[i] })).filter(({ uploaded }) => !uploaded);
+}
+
+function isExpectedNearError(error) {
+    // Ignore MethodNotFound error as it happens during success case
+    if (error.type === 'ActionError' && 
+        error.kind?.kind?.FunctionCallError?.MethodResolveError === 'MethodNotFound') {
+        return true;
+    }
+    
+    // Ignore CodeDoesNotExist error as it happens when account has no contract deployed
+    if (error.type === 'ActionError' && 
+        error.kind?.kind?.FunctionCallError?.CompilationError?.CodeDoesNotExist) {
+        return true;
+    }
+    
+    // Handle message-based error patterns
+    if (error.message && (
+        error.message.includes('Cannot find contract code for account') ||
+        error.message.includes('Contract method is not found')
+    )) {
+        return true;
+    }
+    
+    return false;
+}
+
+// Blocks are stored even though contract call fails, so send() failing with expected error
+// resolves to outcome with transaction hash
+async function ignoreExpectedNearError(send) {
+    try {
+        return await send();
+    } catch (error) {
+        if (isExpectedNearError(error)) {
+            return { transaction_outcome: error.transaction_outcome };
+        }
+        throw error;
+    }
+}
+
+// Transient RPC and network failures and nonce conflicts go away when transaction is sent again,
+// resending one which actually went through just stores same blocks again.
+const RETRYABLE_NEAR_ERROR_TYPES = ['InvalidNonce', 'Expired', 'TimeoutError', 'RetriesExceeded'];
+const RETRYABLE_HTTP_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+
+function isRetryableNearError(error) {
+    if (RETRYABLE_NEAR_ERROR_TYPES.includes(error.type)) {
+        return true;
+    }
+
+    // RPC responded with HTTP error status, e.g. rate limit
+    if (RETRYABLE_HTTP_STATUSES.includes(error.cause)) {
+        return true;
+    }
+
+    if (RETRYABLE_NETWORK_ERROR_CODES.includes(error.code) || RETRYABLE_NETWORK_ERROR_CODES.includes(error.cause?.code)) {
+        return true;
+    }
+
+    if (error.message && (
+        error.message.includes('fetch failed') ||
+        error.message.includes('Failed to fetch') ||
+        error.message.includes('FetchError')
+    )) {
+        return true;
+    }
+
+    return false;
+}
+
+const FATAL_NEAR_ERROR_HINTS = {
+    NotEnoughBalance: 'Top up the account balance and resume the upload.',
+    LackBalanceForState: 'Top up the account balance and resume the upload.',
+    AccessKeyNotFound: 'Make sure the private key belongs to the account and network.',
+    InvalidAccessKeyError: 'Make sure the private key has access to the account.',
+    AccountDoesNotExist: 'Check account ID and network.',
+    SignerDoesNotExist: 'Check account ID and network.',
+};
+
+// Retrying won't help with these, so fail fast with a readable message
+function fatalNearError(error) {
+    const hint = FATAL_NEAR_ERROR_HINTS[error.type];
+    const fatalError = new Error(`Transaction failed: ${error.message}${hint ? `. ${hint}` : ''}`, { cause: error });
+    fatalError.type = error.type;
+    return fatalError;
+}
+
+export {
+    DEFAULT_OPTIONS,
+    UNIXFS_RAW,
+    UNIXFS_DIRECTORY,
+    UNIXFS_FILE,
+    UNIXFS_SYMLINK,
+    UNIXFS_HAMT_SHARD,
+    sleep,
+    mapConcurrently,
+    RETRYABLE_HTTP_STATUSES,
+    isAlreadyUploaded,
+    blocksToUpload,
+    splitOnBatches,
+    fsStoreGas,
+    NETWORK_LIMITS,
+    uploadBlocks,
+    isExpectedNearError,
+    ignoreExpectedNearError,
+    isRetryableNearError,
+    gatewayExistenceCheck,
+    cachedExistenceCheck,
+    indexerExistenceCheck,
+    generateFileBlocks,
+    generateBlocks,
+};
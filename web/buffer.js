@@ -0,0 +1,4 @@
+// Has to be imported before nearfs-upload modules, as they use Buffer global
+import { Buffer } from 'buffer';
+
+globalThis.Buffer = globalThis.Buffer || Buffer;
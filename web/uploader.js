@@ -0,0 +1,127 @@
+import './buffer.js';
+import { uploadFiles, readBrowserFiles, web4Signer, web4LoginUrl, gatewayExistenceCheck } from '../browser.js';
+
+const GATEWAY_URLS = {
+    mainnet: 'https://ipfs.web4.near.page',
+    testnet: 'https://ipfs.web4.testnet.page',
+};
+
+const $ = (id) => document.getElementById(id);
+
+// Page deployed with web4 is served from <account>.near.page or <account>.testnet.page,
+// and from <cid>.ipfs.web4.near.page when opened through IPFS gateway
+function defaultsFromLocation() {
+    const match = location.hostname.match(/^(.+)\.(near|testnet)\.page$/);
+    if (!match) {
+        return { network: 'mainnet', contractId: '' };
+    }
+    const [, accountName, suffix] = match;
+    const isGateway = /(^|\.)ipfs\.web4$/.test(accountName);
+    return {
+        network: suffix === 'near' ? 'mainnet' : 'testnet',
+        contractId: isGateway ? '' : `${accountName}.${suffix}`,
+    };
+}
+
+function updateLoginLink() {
+    $('login-link').href = web4LoginUrl({ contractId: $('contract-id').value.trim(), callbackUrl: location.href });
+}
+
+function showResult(rootCid, gatewayUrl) {
+    const links = [`${gatewayUrl}/ipfs/${rootCid}`, `https://${rootCid}.${gatewayUrl.replace('https://', '')}`];
+    $('result').innerHTML = '';
+    const cidLine = document.createElement('p');
+    cidLine.textContent = `Root CID: ${rootCid}`;
+    $('result').append(cidLine);
+    for (const url of links) {
+        const line = document.createElement('p');
+        const link = document.createElement('a');
+        link.href = url;
+        link.textContent = url;
+        line.append(link);
+        $('result').append(line);
+    }
+}
+
+async function upload(files) {
+    const contractId = $('contract-id').value.trim();
+    const gatewayUrl = GATEWAY_URLS[$('network').value];
+
+    $('drop-zone').classList.add('busy');
+    $('log').textContent = '';
+    $('error').textContent = '';
+    $('result').textContent = '';
+    $('check-status').textContent = '';
+    $('upload-status').textContent = '';
+    $('progress').hidden = true;
+
+    const log = (...args) => {
+        const line = document.createElement('div');
+        line.textContent = args.join(' ');
+        $('log').append(line);
+        $('log').scrollTop = $('log').scrollHeight;
+    };
+
+    // Wraps default check to count blocks which are already on chain
+    let checkedBlocks = 0;
+    let existingBlocks = 0;
+    const existenceCheck = async (cids, options) => {
+        const uploaded = await gatewayExistenceCheck(cids, options);
+        checkedBlocks += cids.length;
+        existingBlocks += uploaded.filter(Boolean).length;
+        $('check-status').textContent = `Checked ${checkedBlocks} blocks: ${checkedBlocks - existingBlocks} new, ${existingBlocks} already uploaded`;
+        return uploaded;
+    };
+
+    try {
+        const rootCid = await uploadFiles(files, {
+            signAndSendTransaction: web4Signer({ contractId }),
+            gatewayUrl,
+            existenceCheck,
+            log,
+            // Block CIDs and directory tree would flood the page log
+            debug: () => {},
+            statusCallback: ({ currentBlocks, totalBlocks }) => {
+                $('progress').hidden = false;
+                $('progress').max = totalBlocks;
+                $('progress').value = currentBlocks;
+                $('upload-status').textContent = `Uploaded ${currentBlocks} of ${totalBlocks} new blocks`;
+            },
+        });
+        showResult(rootCid, gatewayUrl);
+    } catch (error) {
+        $('error').textContent = `Error: ${error.message}`;
+    } finally {
+        $('drop-zone').classList.remove('busy');
+    }
+}
+
+function init() {
+    const { network, contractId } = defaultsFromLocation();
+    $('network').value = network;
+    $('contract-id').value = contractId;
+    updateLoginLink();
+    $('contract-id').addEventListener('input', updateLoginLink);
+
+    const dropZone = $('drop-zone');
+    dropZone.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        dropZone.classList.add('dragging');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragging'));
+    dropZone.addEventListener('drop', (event) => {
+        event.preventDefault();
+        dropZone.classList.remove('dragging');
+        // Dropped items have to be read before event handler returns
+        upload(readBrowserFiles(event.dataTransfer));
+    });
+
+    for (const input of [$('file-input'), $('dir-input')]) {
+        input.addEventListener('change', () => {
+            upload(readBrowserFiles(input.files));
+            input.value = '';
+        });
+    }
+}
+
+init();